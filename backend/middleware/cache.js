@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// Conditional GETs and a response cache for read endpoints.
+//
+// A response's version is the store's mutation counter (seq) plus a time
+// bucket, so anything that changes with the clock alone (expiry, remaining
+// time, hot scores) is picked up within `bucketSeconds`. The version doubles
+// as a weak ETag: clients revalidate with If-None-Match and get a 304 while
+// nothing has changed. Cached bodies are keyed by URL and dropped as soon as
+// the version moves on.
+//
+// Responses that differ per viewer (polls show the viewer's own vote) are
+// cached per requester and marked private, so shared caches never store them.
+
+class ResponseCache {
+    constructor(dataStore, { maxEntries = 500, bucketSeconds = 10 } = {}) {
+        this.dataStore = dataStore;
+        this.maxEntries = maxEntries;
+        this.bucketMs = bucketSeconds * 1000;
+        this.entries = new Map(); // key -> { version, body, shared }, least recently used first
+        // Tells this process's ETags apart from a previous run's
+        this.bootId = crypto.randomBytes(4).toString('hex');
+    }
+
+    version(now = Date.now()) {
+        return `${this.bootId}-${this.dataStore.seq}-${Math.floor(now / this.bucketMs)}`;
+    }
+
+    get(key, version) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.version !== version) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    // Cache-Control for a response; browsers always revalidate, shared
+    // caches may keep public responses for sMaxAge seconds
+    static cacheControl({ maxAge, sMaxAge, staleWhileRevalidate }, shared) {
+        if (!shared) {
+            return 'private, no-cache';
+        }
+
+        return [
+            'public',
+            `max-age=${maxAge}`,
+            sMaxAge ? `s-maxage=${sMaxAge}` : null,
+            staleWhileRevalidate ? `stale-while-revalidate=${staleWhileRevalidate}` : null
+        ].filter(Boolean).join(', ');
+    }
+
+    // Middleware serving GET responses from the cache. `viewer(req)` names the
+    // requester and `isPrivate(body)` says whether a body is viewer-specific.
+    // Handlers opt a response out with Cache-Control: no-store.
+    cached({ maxAge = 0, sMaxAge = 0, staleWhileRevalidate = 0, viewer = null, isPrivate = () => false } = {}) {
+        const policy = { maxAge, sMaxAge, staleWhileRevalidate };
+
+        return (req, res, next) => {
+            if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+            const version = this.version();
+            const sharedKey = `v${req.apiVersion || 0}:${req.originalUrl}`;
+            const viewerKey = viewer ? `${sharedKey}#${viewer(req)}` : null;
+
+            const send = (entry, status) => {
+                res.set({
+                    'ETag': `W/"${version}"`,
+                    'Cache-Control': ResponseCache.cacheControl(policy, entry.shared),
+                    'X-Cache': status
+                });
+                // express answers If-None-Match with 304 from the ETag
+                res.type('json').send(entry.body);
+            };
+
+            const hit = this.get(sharedKey, version) || (viewerKey && this.get(viewerKey, version));
+            if (hit) {
+                return send(hit, 'HIT');
+            }
+
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                const uncacheable = res.statusCode !== 200 || /no-store/.test(res.get('Cache-Control') || '');
+                if (uncacheable) {
+                    return json(body);
+                }
+
+                const shared = !viewerKey || !isPrivate(body);
+                const entry = { version, body: JSON.stringify(body), shared };
+                this.set(shared ? sharedKey : viewerKey, entry);
+                return send(entry, 'MISS');
+            };
+
+            next();
+        };
+    }
+}
+
+module.exports = {
+    ResponseCache
+};
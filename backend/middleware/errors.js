@@ -0,0 +1,106 @@
+// API error envelope and code catalog.
+//
+// Routes under /api/v1 answer errors as
+//   { error: { code, message, details, retryAfter } }
+// The unversioned /api routes are kept as an alias for existing clients and
+// answer the same errors in the old shape, { error: message }, and with the
+// statuses they have always used where those differ. Codes are part of the
+// v1 contract: add new ones, but don't rename or repurpose them.
+
+const ERROR_CODES = {
+    VALIDATION_FAILED: { status: 400, message: 'Validation failed' },
+    INVALID_JSON: { status: 400, message: 'Request body is not valid JSON' },
+    PARENT_COMMENT_NOT_FOUND: { status: 400, message: 'Parent comment not found' },
+    POW_INVALID: { status: 400, message: 'Invalid proof of work' },
+    UNAUTHORIZED: { status: 401, message: 'Unauthorized' },
+    FORBIDDEN: { status: 403, message: 'Forbidden' },
+    BANNED: { status: 403, message: 'You are temporarily banned' },
+    INVALID_AUTHOR_TOKEN: { status: 403, message: 'Invalid author token' },
+    EDIT_WINDOW_EXPIRED: { status: 403, message: 'Edit window has expired' },
+    THREAD_LOCKED: { status: 403, message: 'Thread is locked' },
+    CATEGORY_READ_ONLY: { status: 403, message: 'Category is read-only' },
+    POLL_CLOSED: { status: 403, message: 'Poll is closed' },
+    POW_REQUIRED: { status: 403, message: 'Proof of work is missing' },
+    ENDPOINT_NOT_FOUND: { status: 404, message: 'Endpoint not found' },
+    POST_NOT_FOUND: { status: 404, message: 'Post not found' },
+    COMMENT_NOT_FOUND: { status: 404, message: 'Comment not found' },
+    POLL_NOT_FOUND: { status: 404, message: 'Poll not found' },
+    CATEGORY_NOT_FOUND: { status: 404, message: 'Category not found' },
+    REPORT_NOT_FOUND: { status: 404, message: 'Report not found' },
+    BAN_NOT_FOUND: { status: 404, message: 'Ban not found' },
+    ALREADY_LIKED: { status: 409, message: 'Already liked' },
+    ALREADY_VOTED: { status: 409, message: 'Already voted' },
+    ALREADY_REPORTED: { status: 409, message: 'Already reported' },
+    POST_NOT_PINNED: { status: 409, message: 'Post is not pinned' },
+    DUPLICATE_CONTENT: { status: 409, message: 'Too similar to recent content' },
+    PAYLOAD_TOO_LARGE: { status: 413, message: 'Request too large' },
+    UNSUPPORTED_MEDIA_TYPE: { status: 415, message: 'Unsupported content type' },
+    RATE_LIMITED: { status: 429, message: 'Too many requests, please try again later.' },
+    INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
+    SERVICE_UNAVAILABLE: { status: 503, message: 'Service unavailable' },
+    ADMIN_DISABLED: { status: 503, message: 'Admin API is not configured' }
+};
+
+// Codes for DataStore failure messages; anything else is a validation failure
+const MESSAGE_CODES = {
+    'Post not found': 'POST_NOT_FOUND',
+    'Comment not found': 'COMMENT_NOT_FOUND',
+    'Parent comment not found': 'PARENT_COMMENT_NOT_FOUND',
+    'Poll not found': 'POLL_NOT_FOUND',
+    'Report not found': 'REPORT_NOT_FOUND',
+    'Ban not found': 'BAN_NOT_FOUND',
+    'Invalid author token': 'INVALID_AUTHOR_TOKEN',
+    'Edit window has expired': 'EDIT_WINDOW_EXPIRED',
+    'Thread is locked': 'THREAD_LOCKED',
+    'Poll is closed': 'POLL_CLOSED',
+    'Already liked': 'ALREADY_LIKED',
+    'Already voted': 'ALREADY_VOTED',
+    'Already reported': 'ALREADY_REPORTED',
+    'Post is not pinned': 'POST_NOT_PINNED'
+};
+
+const codeForMessage = (message) => MESSAGE_CODES[message] || 'VALIDATION_FAILED';
+
+// Serve /api/v1/* from the same routes as /api/*, remembering the version
+const apiVersion = (req, res, next) => {
+    req.apiVersion = 0;
+
+    if (/^\/api\/v1(?=\/|\?|$)/.test(req.url)) {
+        req.apiVersion = 1;
+        req.url = `/api${req.url.slice('/api/v1'.length)}`;
+    }
+
+    next();
+};
+
+// Send an error in the shape the request's API version expects. `legacy`
+// holds extra top-level fields the unversioned routes have always sent, and
+// `legacyStatus` the status they sent if it isn't the code's.
+const sendError = (req, res, code, {
+    message, details = null, retryAfter = null, legacy = {}, legacyStatus = null
+} = {}) => {
+    const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    const text = message || entry.message;
+
+    if (retryAfter !== null) {
+        res.set('Retry-After', String(retryAfter));
+    }
+
+    if (req.apiVersion >= 1) {
+        return res.status(entry.status).json({ error: { code, message: text, details, retryAfter } });
+    }
+
+    return res.status(legacyStatus || entry.status).json({ error: text, ...legacy });
+};
+
+// Send a failed DataStore result ({ success: false, message })
+const sendFailure = (req, res, message, { legacyStatus = null } = {}) =>
+    sendError(req, res, codeForMessage(message), { message, legacyStatus });
+
+module.exports = {
+    ERROR_CODES,
+    apiVersion,
+    codeForMessage,
+    sendError,
+    sendFailure
+};
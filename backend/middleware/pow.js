@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// Hashcash-style proof of work for posting and commenting.
+//
+// GET /api/challenge returns a signed token; the client searches for a nonce
+// such that sha256(`${token}:${nonce}`) starts with `difficulty` zero bits and
+// sends { pow: { token, nonce } } with the post or comment. Tokens are single
+// use. Difficulty rises with overall load and with how much the requester has
+// posted recently, so a shared IP is not punished for its neighbours.
+
+const SCOPES = {
+    post: { baseDifficulty: 16 },
+    comment: { baseDifficulty: 14 }
+};
+
+// Count leading zero bits of a digest
+const leadingZeroBits = (digest) => {
+    let bits = 0;
+
+    for (const byte of digest) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+
+    return bits;
+};
+
+class ProofOfWork {
+    constructor({
+        secret,
+        mode = 'optional', // off | optional | required
+        ttl = 5 * 60 * 1000,
+        maxDifficulty = 22,
+        difficultyOffset = 0
+    } = {}) {
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+        this.mode = mode;
+        this.ttl = ttl;
+        this.maxDifficulty = maxDifficulty;
+        this.difficultyOffset = difficultyOffset;
+        this.used = new Map(); // challenge ID -> expiry
+        this.recentSolves = []; // Timestamps of accepted solutions (last minute)
+        this.history = new Map(); // IP hash -> timestamps of accepted solutions (last hour)
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    // Drop expired single-use markers and stale history
+    prune(now = Date.now()) {
+        for (const [id, expiresAt] of this.used) {
+            if (expiresAt < now) this.used.delete(id);
+        }
+
+        this.recentSolves = this.recentSolves.filter(time => time > now - 60 * 1000);
+
+        for (const [ipHash, times] of this.history) {
+            const recent = times.filter(time => time > now - 60 * 60 * 1000);
+            if (recent.length === 0) {
+                this.history.delete(ipHash);
+            } else {
+                this.history.set(ipHash, recent);
+            }
+        }
+    }
+
+    // Difficulty in bits for a scope and requester
+    difficultyFor(scope, ipHash, now = Date.now()) {
+        this.prune(now);
+
+        // One extra bit per doubling of global solves above 10 per minute
+        const load = this.recentSolves.length;
+        const loadBits = load > 10 ? Math.floor(Math.log2(load / 10)) + 1 : 0;
+
+        // One extra bit per 3 accepted submissions from this requester in the last hour
+        const historyBits = Math.floor((this.history.get(ipHash) || []).length / 3);
+
+        const difficulty = SCOPES[scope].baseDifficulty + this.difficultyOffset + loadBits + historyBits;
+        return Math.min(this.maxDifficulty, difficulty);
+    }
+
+    // Issue a signed challenge
+    issue(scope, ipHash, now = Date.now()) {
+        const difficulty = this.difficultyFor(scope, ipHash, now);
+        const payload = Buffer.from(JSON.stringify({
+            id: crypto.randomBytes(12).toString('base64url'),
+            scope,
+            difficulty,
+            expiresAt: now + this.ttl
+        })).toString('base64url');
+
+        return {
+            token: `${payload}.${this.sign(payload)}`,
+            difficulty,
+            expiresAt: new Date(now + this.ttl).toISOString(),
+            algorithm: 'sha256'
+        };
+    }
+
+    // Check a solution; returns an error message or null
+    check(scope, solution, now = Date.now()) {
+        if (!solution || typeof solution.token !== 'string' || typeof solution.nonce !== 'string') {
+            return 'Proof of work is missing';
+        }
+
+        const [payload, signature] = solution.token.split('.');
+        if (!payload || !signature) {
+            return 'Invalid proof of work';
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return 'Invalid proof of work';
+        }
+
+        let challenge;
+        try {
+            challenge = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return 'Invalid proof of work';
+        }
+
+        if (challenge.scope !== scope) {
+            return 'Proof of work is for a different action';
+        }
+        if (challenge.expiresAt < now) {
+            return 'Proof of work has expired';
+        }
+        if (this.used.has(challenge.id)) {
+            return 'Proof of work has already been used';
+        }
+
+        const digest = crypto.createHash('sha256').update(`${solution.token}:${solution.nonce}`).digest();
+        if (leadingZeroBits(digest) < challenge.difficulty) {
+            return 'Invalid proof of work';
+        }
+
+        this.used.set(challenge.id, challenge.expiresAt);
+        return null;
+    }
+
+    // Record an accepted solution for load and history tracking
+    recordSolve(ipHash, now = Date.now()) {
+        this.recentSolves.push(now);
+
+        if (!this.history.has(ipHash)) {
+            this.history.set(ipHash, []);
+        }
+        this.history.get(ipHash).push(now);
+    }
+
+    // Middleware verifying req.body.pow; sets req.powVerified when valid
+    verify(scope, getIpHash) {
+        return (req, res, next) => {
+            if (this.mode === 'off') return next();
+
+            const solution = req.body && req.body.pow;
+
+            if (!solution && this.mode === 'optional') {
+                return next();
+            }
+
+            const error = this.check(scope, solution);
+            if (error) {
+                return sendError(req, res, solution ? 'POW_INVALID' : 'POW_REQUIRED', { message: error });
+            }
+
+            delete req.body.pow;
+            this.recordSolve(getIpHash(req));
+            req.powVerified = true;
+            next();
+        };
+    }
+}
+
+module.exports = {
+    ProofOfWork,
+    leadingZeroBits,
+    POW_SCOPES: Object.keys(SCOPES)
+};
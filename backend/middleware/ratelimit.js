@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+const { MemoryLimitStore } = require('../models/buckets');
+
+// Rate limiting for every route, on token buckets (see models/buckets.js).
+//
+// Rules are named ('posts', 'likes', 'posts:confession', ...) and counted per
+// client. A client is its hashed IP, or the session from a signed
+// X-Session-Token header when it sends one, so people behind one shared IP
+// don't use up each other's limits. Tokens come from POST /api/session, which
+// is itself limited per IP. A token expires after `sessionTtl` and only counts
+// from the IP it was issued to.
+//
+// Session traffic still has a per-IP ceiling: all sessions from one IP share
+// `ipCeiling` times each rule. The ceiling is a plain cap; strikes and
+// cooldowns stay with each session, so one client running dry doesn't block
+// its neighbours.
+//
+// If the store fails (a FileLimitStore lock timeout, say), the request is
+// counted in this process's own buckets instead, so limits never switch off.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+// RateLimit-Policy for the tightest rule that applied, plus Retry-After when
+// the request was refused.
+
+const MINUTE = 60 * 1000;
+
+// Default rules: `max` requests per `windowMinutes`
+const DEFAULT_RULES = {
+    global: { max: 100, windowMinutes: 15, message: 'Too many requests, please try again later.' },
+    presence: { max: 60, windowMinutes: 1, message: 'Too many heartbeats, please slow down.' },
+    posts: { max: 3, windowMinutes: 5, message: 'Too many posts, please slow down.' },
+    comments: { max: 5, windowMinutes: 1, message: 'Too many comments, please slow down.' },
+    likes: { max: 10, windowMinutes: 1, message: 'Too many likes, please slow down' },
+    votes: { max: 10, windowMinutes: 1, message: 'Too many votes, please slow down' },
+    reports: { max: 20, windowMinutes: 60, message: 'Too many reports, please slow down' },
+    sessions: { max: 10, windowMinutes: 60, message: 'Too many sessions, please slow down' }
+};
+
+const SESSION_HEADER = 'X-Session-Token';
+
+class RateLimiter {
+    constructor({
+        store,
+        hashIP,
+        rules = DEFAULT_RULES,
+        sessionSecret,
+        sessionTtl = 24 * 60 * MINUTE,
+        ipCeiling = 10, // Multiple of each rule that one IP's sessions share
+        cooldown = {} // { baseMs, maxMs, forgetMs } for repeat violators
+    }) {
+        if (!(sessionTtl > 0) || !(ipCeiling >= 1)) {
+            throw new Error('Invalid rate limit session settings');
+        }
+
+        this.store = store;
+        this.fallbackStore = store instanceof MemoryLimitStore ? store : new MemoryLimitStore();
+        this.hashIP = hashIP;
+        this.sessionTtl = sessionTtl;
+        this.ipCeiling = ipCeiling;
+        this.cooldown = {
+            baseMs: MINUTE,
+            maxMs: 60 * MINUTE,
+            forgetMs: 60 * MINUTE,
+            ...cooldown
+        };
+        // Without a configured secret, sessions only stay valid until restart
+        this.sessionSecret = sessionSecret || crypto.randomBytes(32).toString('hex');
+        this.rules = new Map();
+
+        Object.entries(rules).forEach(([name, rule]) => this.addRule(name, rule));
+    }
+
+    addRule(name, { max, windowMinutes, message }) {
+        if (!(max > 0) || !(windowMinutes > 0)) {
+            throw new Error(`Invalid rate limit rule: ${name}`);
+        }
+
+        this.rules.set(name, {
+            name,
+            capacity: max,
+            windowMs: windowMinutes * MINUTE,
+            message: message || DEFAULT_RULES.global.message,
+            cooldown: this.cooldown
+        });
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.sessionSecret).update(payload).digest('base64url');
+    }
+
+    // Tag binding a token to an IP hash; the hash itself never leaves the server
+    ipTag(ipHash) {
+        return this.sign(`ip:${ipHash}`).slice(0, 22);
+    }
+
+    // Issue a session token (`<payload>.<signature>`) for the requester's
+    // current IP hash; returns { token, expiresAt }
+    createSession(ipHash, now = Date.now()) {
+        const expiresAt = now + this.sessionTtl;
+        const payload = Buffer.from(JSON.stringify({
+            id: crypto.randomBytes(16).toString('base64url'),
+            ip: this.ipTag(ipHash),
+            expiresAt
+        })).toString('base64url');
+
+        return { token: `${payload}.${this.sign(payload)}`, expiresAt };
+    }
+
+    // Session ID from a token that is valid, unexpired and issued to one of
+    // `ipHashes` (the requester's hashes under every key in the window), or null
+    verifySession(token, ipHashes, now = Date.now()) {
+        if (typeof token !== 'string' || token.length > 300) return null;
+
+        const parts = token.split('.');
+        if (parts.length !== 2) return null;
+
+        const [payload, signature] = parts;
+        const expected = Buffer.from(this.sign(payload));
+        const presented = Buffer.from(signature);
+        if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+            return null;
+        }
+
+        let session;
+        try {
+            session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!(session.expiresAt > now) || !ipHashes.some(ipHash => this.ipTag(ipHash) === session.ip)) {
+            return null;
+        }
+
+        return session.id;
+    }
+
+    // Requester's IP hashes, current first
+    ipHashesOf(req) {
+        return req.ipHashes || [this.hashIP(req.ip || '')];
+    }
+
+    // Take a token for a session: from its own bucket, then from the ceiling
+    // its IP's sessions share (a cap without strikes). Requests the session
+    // itself refuses don't count toward the ceiling.
+    async takeSession(store, rule, sessionId, ipHash, now) {
+        const own = await store.take(`${rule.name}:session:${sessionId}`, rule, now);
+        if (!own.allowed) return own;
+
+        const ceiling = { ...rule, capacity: rule.capacity * this.ipCeiling, cooldown: null };
+        const shared = await store.take(`${rule.name}:sessions:${ipHash}`, ceiling, now);
+        return { ...shared, remaining: Math.min(own.remaining, shared.remaining) };
+    }
+
+    // Take a token for a request: per session when it sends a valid one, otherwise per IP
+    take(req, rule, { sessions = true, store = this.store } = {}) {
+        const now = Date.now();
+        const ipHashes = this.ipHashesOf(req);
+        const session = sessions ? this.verifySession(req.get(SESSION_HEADER), ipHashes, now) : null;
+
+        return session
+            ? this.takeSession(store, rule, session, ipHashes[0], now)
+            : store.take(`${rule.name}:ip:${ipHashes[0]}`, rule, now);
+    }
+
+    // Expose the tightest limit seen so far on this request
+    setHeaders(req, res, rule, result) {
+        if (req.rateLimit && req.rateLimit.remaining < result.remaining) return;
+
+        req.rateLimit = { rule: rule.name, limit: rule.capacity, remaining: result.remaining };
+        res.set({
+            'RateLimit-Limit': String(rule.capacity),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+            'RateLimit-Policy': `${rule.capacity};w=${Math.round(rule.windowMs / 1000)}`
+        });
+    }
+
+    // Middleware enforcing a rule. `rule` is a name, or a function of the
+    // request returning one (requests without a matching rule pass).
+    // With sessions: false the client is always its IP.
+    limit(rule, { skip = () => false, sessions = true } = {}) {
+        const ruleFor = typeof rule === 'function' ? rule : () => rule;
+
+        return (req, res, next) => {
+            const definition = this.rules.get(ruleFor(req));
+            if (!definition || skip(req)) return next();
+
+            this.take(req, definition, { sessions }).catch(error => {
+                console.error('Rate limit store error, using in-process buckets:', error);
+                return this.take(req, definition, { sessions, store: this.fallbackStore });
+            }).then(result => {
+                this.setHeaders(req, res, definition, result);
+
+                if (result.allowed) return next();
+
+                const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+                sendError(req, res, 'RATE_LIMITED', {
+                    message: definition.message,
+                    details: { rule: definition.name, limit: definition.capacity, strikes: result.strikes },
+                    retryAfter
+                });
+            }, error => {
+                // Not even the in-process buckets worked: refuse rather than run unlimited
+                console.error('Rate limit error:', error);
+                sendError(req, res, 'SERVICE_UNAVAILABLE');
+            });
+        };
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    DEFAULT_RULES,
+    SESSION_HEADER
+};
@@ -1,19 +1,18 @@
 const crypto = require('crypto');
+const { sendError } = require('./errors');
 
-// Input sanitization middleware
+// Input normalization middleware.
+// Text is stored as typed; HTML safety comes from escaping at render time
+// (see models/markdown.js), so nothing is stripped from ordinary prose here.
 const sanitizeInput = (req, res, next) => {
     try {
-        // Recursively sanitize all string inputs
+        // Recursively normalize all string inputs
         const sanitizeObject = (obj) => {
             for (const key in obj) {
                 if (typeof obj[key] === 'string') {
-                    // Remove potentially dangerous characters
                     obj[key] = obj[key]
-                        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
-                        .replace(/javascript:/gi, '') // Remove javascript: protocol
-                        .replace(/data:/gi, '') // Remove data: protocol
-                        .replace(/vbscript:/gi, '') // Remove vbscript: protocol
-                        .replace(/on\w+\s*=/gi, '') // Remove event handlers like onclick=
+                        .normalize('NFC') // Compose Vietnamese diacritics consistently
+                        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '') // Control characters
                         .trim();
                 } else if (typeof obj[key] === 'object' && obj[key] !== null) {
                     sanitizeObject(obj[key]);
@@ -28,52 +27,85 @@ const sanitizeInput = (req, res, next) => {
         next();
     } catch (error) {
         console.error('Sanitization error:', error);
-        res.status(400).json({ error: 'Invalid input data' });
+        sendError(req, res, 'VALIDATION_FAILED', { message: 'Invalid input data' });
     }
 };
 
-// Input validation middleware
+// Abuse signals scored by validateInput. Nothing here blocks a request:
+// content is escaped at render time and the store never builds queries from
+// strings, so words like "DELETE FROM" or "eval(" are harmless prose. Signals
+// only look for markup that is suspicious in context (e.g. a <script> tag or
+// an on*= attribute inside a tag) and for spam-like shapes.
+const ABUSE_SIGNALS = [
+    { name: 'script_tag', weight: 3, test: (text) => /<\s*script\b/i.test(text) },
+    { name: 'embed_tag', weight: 2, test: (text) => /<\s*(iframe|object|embed)\b/i.test(text) },
+    { name: 'event_handler_attribute', weight: 2, test: (text) => /<[a-z][^>]*\son[a-z]+\s*=/i.test(text) },
+    { name: 'script_url_link', weight: 2, test: (text) => /(\]\(|href\s*=\s*["']?)\s*(javascript|vbscript|data):/i.test(text) },
+    { name: 'many_links', weight: 2, test: (text) => (text.match(/https?:\/\/\S+/gi) || []).length > 5 },
+    { name: 'repeated_characters', weight: 1, test: (text) => /(.)\1{15,}/.test(text) },
+    {
+        name: 'shouting',
+        weight: 1,
+        test: (text) => {
+            const letters = text.replace(/[^\p{L}]/gu, '');
+            return letters.length > 30 && letters.replace(/[^\p{Lu}]/gu, '').length / letters.length > 0.7;
+        }
+    },
+    { name: 'spam_phrases', weight: 2, test: (text) => /\b(buy now|click here|viagra|casino|lottery winner)\b/i.test(text) }
+];
+
+// Code blocks and inline code render as escaped text (see models/markdown.js),
+// so a <script> tag or a column of CAPS inside them is just code being discussed
+const stripCode = (text) => {
+    let inFence = false;
+
+    return text.split('\n')
+        .filter(line => {
+            if (/^\s*```[\w-]*\s*$/.test(line)) {
+                inFence = !inFence;
+                return false;
+            }
+            return !inFence;
+        })
+        .join('\n')
+        .replace(/`[^`\n]+`/g, ' ');
+};
+
+// Score the prose of a text for abuse signals
+const scoreAbuse = (text, threshold = parseInt(process.env.ABUSE_FLAG_THRESHOLD) || 4) => {
+    const prose = stripCode(text);
+    const signals = ABUSE_SIGNALS.filter(signal => signal.test(prose));
+    const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+
+    return {
+        score,
+        signals: signals.map(signal => signal.name),
+        flagged: score >= threshold
+    };
+};
+
+// Input validation middleware: scores the request body and attaches
+// req.abuse = { score, signals, flagged }; routes decide what to do with it
 const validateInput = (req, res, next) => {
     try {
-        // Check for suspicious patterns
-        const suspiciousPatterns = [
-            /union\s+select/gi,
-            /drop\s+table/gi,
-            /insert\s+into/gi,
-            /delete\s+from/gi,
-            /<iframe/gi,
-            /<object/gi,
-            /<embed/gi,
-            /eval\s*\(/gi,
-            /setTimeout\s*\(/gi,
-            /setInterval\s*\(/gi
-        ];
-
-        const checkSuspicious = (obj) => {
+        const strings = [];
+        const collect = (obj) => {
             for (const key in obj) {
+                if (key === 'pow') continue;
+
                 if (typeof obj[key] === 'string') {
-                    for (const pattern of suspiciousPatterns) {
-                        if (pattern.test(obj[key])) {
-                            return true;
-                        }
-                    }
+                    strings.push(obj[key]);
                 } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-                    if (checkSuspicious(obj[key])) return true;
+                    collect(obj[key]);
                 }
             }
-            return false;
         };
 
-        if (checkSuspicious(req.body) || checkSuspicious(req.query)) {
-            console.warn('Suspicious activity detected:', {
-                ip: req.ip,
-                userAgent: req.get('User-Agent'),
-                path: req.path,
-                method: req.method,
-                body: JSON.stringify(req.body).substring(0, 200)
-            });
-            
-            return res.status(403).json({ error: 'Suspicious activity detected' });
+        collect(req.body);
+        req.abuse = scoreAbuse(strings.join('\n'));
+
+        if (req.abuse.flagged) {
+            logSuspiciousActivity(req, `Abuse signals: ${req.abuse.signals.join(', ')} (score ${req.abuse.score})`);
         }
 
         next();
@@ -83,10 +115,29 @@ const validateInput = (req, res, next) => {
     }
 };
 
-// Hash IP for privacy
-const hashIP = (ip) => {
-    const salt = process.env.IP_SALT || 'anonforum-salt-2024';
-    return crypto.createHash('sha256').update(ip + salt).digest('hex');
+// Short form of the requester's IP hash for logs: enough to correlate, never the raw IP
+const logHash = (req) => (req.ipHashes ? req.ipHashes[0].substring(0, 12) : null);
+
+// Admin authentication using a shared secret (Authorization: Bearer <secret>)
+const adminAuth = (req, res, next) => {
+    const secret = process.env.ADMIN_SECRET;
+    
+    if (!secret) {
+        return sendError(req, res, 'ADMIN_DISABLED');
+    }
+    
+    const header = req.get('Authorization') || '';
+    const presented = header.startsWith('Bearer ') ? header.slice(7) : '';
+    
+    // Compare digests so the check is constant-time regardless of length
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    
+    if (!presented || !crypto.timingSafeEqual(digest(presented), digest(secret))) {
+        logSuspiciousActivity(req, 'Invalid admin credentials');
+        return sendError(req, res, 'UNAUTHORIZED');
+    }
+    
+    next();
 };
 
 // Content filtering for inappropriate content
@@ -117,13 +168,13 @@ const contentFilter = (req, res, next) => {
 
         if (checkSpam(title) || checkSpam(content)) {
             console.warn('Spam content detected:', {
-                ip: req.ip,
+                ipHash: logHash(req),
                 title: title?.substring(0, 50),
                 content: content?.substring(0, 100)
             });
             
-            return res.status(400).json({ 
-                error: 'Content appears to be spam or violates community guidelines' 
+            return sendError(req, res, 'VALIDATION_FAILED', {
+                message: 'Content appears to be spam or violates community guidelines'
             });
         }
 
@@ -134,48 +185,6 @@ const contentFilter = (req, res, next) => {
     }
 };
 
-// Rate limiting helper
-const createRateLimit = (windowMs, max, message) => {
-    const requests = new Map();
-    
-    return (req, res, next) => {
-        const key = hashIP(req.ip);
-        const now = Date.now();
-        
-        // Clean old entries
-        for (const [ip, data] of requests) {
-            if (now - data.resetTime > windowMs) {
-                requests.delete(ip);
-            }
-        }
-        
-        // Check current IP
-        if (!requests.has(key)) {
-            requests.set(key, { count: 1, resetTime: now });
-            return next();
-        }
-        
-        const data = requests.get(key);
-        
-        if (now - data.resetTime > windowMs) {
-            // Reset window
-            data.count = 1;
-            data.resetTime = now;
-            return next();
-        }
-        
-        if (data.count >= max) {
-            return res.status(429).json({ 
-                error: message,
-                retryAfter: Math.ceil((windowMs - (now - data.resetTime)) / 1000)
-            });
-        }
-        
-        data.count++;
-        next();
-    };
-};
-
 // Request size limiter
 const requestSizeLimiter = (req, res, next) => {
     const contentLength = req.get('Content-Length');
@@ -184,11 +193,11 @@ const requestSizeLimiter = (req, res, next) => {
     if (contentLength && parseInt(contentLength) > maxSize) {
         console.warn('Request too large:', {
             size: contentLength,
-            ip: req.ip,
+            ipHash: logHash(req),
             path: req.path
         });
         
-        return res.status(413).json({ error: 'Request too large' });
+        return sendError(req, res, 'PAYLOAD_TOO_LARGE');
     }
     
     next();
@@ -222,21 +231,23 @@ const validatePostData = (req, res, next) => {
         errors.push('Title cannot exceed 200 characters');
     }
     
+    // Category validation (against the registry mounted on app.locals)
+    const categories = req.app.locals.categories;
+    const validCategory = Boolean(category) && (categories ? categories.has(category) : false);
+    if (!validCategory) {
+        errors.push('Valid category is required');
+    }
+    const minContentLength = categories && validCategory ? categories.rules(category).minContentLength : 10;
+    
     // Content validation
     if (!content || typeof content !== 'string') {
         errors.push('Content is required');
-    } else if (content.trim().length < 10) {
-        errors.push('Content must be at least 10 characters');
+    } else if (content.trim().length < minContentLength) {
+        errors.push(`Content must be at least ${minContentLength} characters`);
     } else if (content.trim().length > 2000) {
         errors.push('Content cannot exceed 2000 characters');
     }
     
-    // Category validation
-    const validCategories = ['general', 'tech', 'crypto', 'society', 'confession', 'question', 'random'];
-    if (!category || !validCategories.includes(category)) {
-        errors.push('Valid category is required');
-    }
-    
     // Tags validation
     if (tags && Array.isArray(tags)) {
         if (tags.length > 5) {
@@ -252,10 +263,7 @@ const validatePostData = (req, res, next) => {
     }
     
     if (errors.length > 0) {
-        return res.status(400).json({ 
-            error: 'Validation failed', 
-            details: errors 
-        });
+        return sendError(req, res, 'VALIDATION_FAILED', { details: errors, legacy: { details: errors } });
     }
     
     next();
@@ -275,10 +283,7 @@ const validateCommentData = (req, res, next) => {
     }
     
     if (errors.length > 0) {
-        return res.status(400).json({ 
-            error: 'Validation failed', 
-            details: errors 
-        });
+        return sendError(req, res, 'VALIDATION_FAILED', { details: errors, legacy: { details: errors } });
     }
     
     next();
@@ -288,7 +293,7 @@ const validateCommentData = (req, res, next) => {
 const logSuspiciousActivity = (req, activity) => {
     console.warn('🚨 Suspicious activity:', {
         activity,
-        ip: req.ip,
+        ipHash: logHash(req),
         userAgent: req.get('User-Agent'),
         path: req.path,
         method: req.method,
@@ -301,7 +306,7 @@ const honeypotTrap = (req, res, next) => {
     // Check for honeypot field (should be empty)
     if (req.body.honeypot && req.body.honeypot.trim() !== '') {
         logSuspiciousActivity(req, 'Honeypot triggered');
-        return res.status(403).json({ error: 'Forbidden' });
+        return sendError(req, res, 'FORBIDDEN');
     }
     
     // Remove honeypot field
@@ -312,9 +317,9 @@ const honeypotTrap = (req, res, next) => {
 module.exports = {
     sanitizeInput,
     validateInput,
-    hashIP,
+    scoreAbuse,
+    adminAuth,
     contentFilter,
-    createRateLimit,
     requestSizeLimiter,
     securityHeaders,
     validatePostData,
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Token buckets for rate limiting, and the stores that hold them.
+//
+// A rule allows `capacity` requests per `windowMs`: a bucket starts full and
+// refills continuously at capacity / windowMs. A request that finds the
+// bucket empty is a strike. From the second strike on, the key is also
+// blocked for a cooldown that doubles with every further strike (up to
+// cooldown.maxMs); strikes are forgotten after cooldown.forgetMs without one.
+// Rules without a cooldown are plain caps: they refuse, but keep no strikes.
+//
+// Every store implements the same interface:
+//   take(key, rule, now) -> Promise of { allowed, remaining, resetMs, retryAfterMs, strikes }
+//   close()              -> release timers
+
+// Consume one token from a bucket state; returns the new state and the outcome
+const takeToken = (state, rule, now) => {
+    const { capacity, windowMs, cooldown } = rule;
+    const rate = capacity / windowMs; // Tokens per millisecond
+    const bucket = state
+        ? { ...state, tokens: Math.min(capacity, state.tokens + (now - state.updatedAt) * rate) }
+        : { tokens: capacity, strikes: 0, lastStrike: 0, blockedUntil: 0 };
+    bucket.updatedAt = now;
+
+    if (bucket.strikes > 0 && (!cooldown || now - bucket.lastStrike > cooldown.forgetMs)) {
+        bucket.strikes = 0;
+    }
+
+    const outcome = (allowed, retryAfterMs) => ({
+        state: bucket,
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetMs: Math.ceil((capacity - bucket.tokens) / rate),
+        retryAfterMs,
+        strikes: bucket.strikes
+    });
+
+    // Still cooling down from an earlier violation
+    if (bucket.blockedUntil > now) {
+        return outcome(false, bucket.blockedUntil - now);
+    }
+
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return outcome(true, 0);
+    }
+
+    let retryAfterMs = Math.ceil((1 - bucket.tokens) / rate);
+    if (!cooldown) {
+        return outcome(false, retryAfterMs);
+    }
+
+    bucket.strikes++;
+    bucket.lastStrike = now;
+
+    if (bucket.strikes > 1) {
+        const penalty = Math.min(cooldown.maxMs, cooldown.baseMs * 2 ** (bucket.strikes - 2));
+        retryAfterMs = Math.max(retryAfterMs, penalty);
+        bucket.blockedUntil = now + retryAfterMs;
+    }
+
+    return outcome(false, retryAfterMs);
+};
+
+// Whether a bucket can be forgotten: full again, not blocked, no strikes to remember
+const isIdle = (state, rule, now) => {
+    const full = state.tokens + (now - state.updatedAt) * (rule.capacity / rule.windowMs) >= rule.capacity;
+    return full && state.blockedUntil <= now && (state.strikes === 0 || !rule.cooldown || now - state.lastStrike > rule.cooldown.forgetMs);
+};
+
+// Buckets in this process only
+class MemoryLimitStore {
+    constructor({ pruneInterval = 60 * 1000 } = {}) {
+        this.name = 'memory';
+        this.buckets = new Map(); // key -> { state, rule }
+
+        this.timer = setInterval(() => this.prune(), pruneInterval);
+        this.timer.unref();
+    }
+
+    async take(key, rule, now = Date.now()) {
+        const current = this.buckets.get(key);
+        const result = takeToken(current && current.state, rule, now);
+
+        this.buckets.set(key, { state: result.state, rule });
+        return result;
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, { state, rule }] of this.buckets) {
+            if (isIdle(state, rule, now)) this.buckets.delete(key);
+        }
+    }
+
+    close() {
+        clearInterval(this.timer);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Buckets shared through a directory, one file per key, so that several
+// processes (or instances mounting the same volume) enforce one limit.
+// Each update holds a lock file; locks older than lockTimeout are broken.
+class FileLimitStore {
+    constructor({ dir, lockTimeout = 1000, maxIdle = 24 * 60 * 60 * 1000, pruneInterval = 10 * 60 * 1000 } = {}) {
+        if (!dir) {
+            throw new Error('FileLimitStore requires a directory');
+        }
+
+        this.name = 'file';
+        this.dir = dir;
+        this.lockTimeout = lockTimeout;
+        this.maxIdle = maxIdle;
+
+        fs.mkdirSync(dir, { recursive: true });
+
+        this.timer = setInterval(() => {
+            this.prune().catch(error => console.error('Rate limit prune error:', error));
+        }, pruneInterval);
+        this.timer.unref();
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+    }
+
+    // Wait for the key's lock; resolves to a release function
+    async lock(file) {
+        const lockFile = `${file}.lock`;
+        const deadline = Date.now() + 2 * this.lockTimeout;
+
+        for (;;) {
+            try {
+                await fs.promises.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+                return () => fs.promises.unlink(lockFile).catch(() => {});
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            // The holder died or hung; break its lock
+            const stats = await fs.promises.stat(lockFile).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > this.lockTimeout) {
+                await fs.promises.unlink(lockFile).catch(() => {});
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error('Timed out waiting for a rate limit lock');
+            }
+            await sleep(5);
+        }
+    }
+
+    async take(key, rule, now = Date.now()) {
+        const file = this.fileFor(key);
+        const release = await this.lock(file);
+
+        try {
+            let state = null;
+            try {
+                state = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+            }
+
+            const result = takeToken(state, rule, now);
+
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temp, JSON.stringify(result.state));
+            await fs.promises.rename(temp, file);
+
+            return result;
+        } finally {
+            await release();
+        }
+    }
+
+    // Delete buckets nobody has touched for maxIdle
+    async prune(now = Date.now()) {
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (!name.endsWith('.json')) continue;
+
+            const file = path.join(this.dir, name);
+            const stats = await fs.promises.stat(file).catch(() => null);
+            if (stats && now - stats.mtimeMs > this.maxIdle) {
+                await fs.promises.unlink(file).catch(() => {});
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.timer);
+    }
+}
+
+// Create the store selected by RATE_LIMIT_STORE (memory or file)
+const createLimitStore = (env = process.env) => {
+    const driver = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+    switch (driver) {
+        case 'file':
+            return new FileLimitStore({
+                dir: env.RATE_LIMIT_DIR || path.join(env.DATA_DIR || path.join(__dirname, '..', 'data'), 'ratelimit')
+            });
+        case 'memory':
+            return new MemoryLimitStore();
+        default:
+            throw new Error(`Unknown rate limit store: ${driver}`);
+    }
+};
+
+module.exports = {
+    takeToken,
+    MemoryLimitStore,
+    FileLimitStore,
+    createLimitStore
+};
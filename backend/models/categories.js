@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+// Category registry loaded from configuration (config/categories.json by
+// default, or the file named by CATEGORIES_FILE). Each category has a slug,
+// display names and descriptions per locale, an icon, and rules that
+// override the registry-wide defaults.
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'categories.json');
+const DEFAULT_LOCALE = 'vi';
+const SLUG_PATTERN = /^[a-z0-9-]{1,30}$/;
+
+const BUILTIN_DEFAULTS = {
+    postTtlHours: 168,
+    minContentLength: 10,
+    nsfw: false,
+    readOnly: false,
+    rateLimit: null, // { posts: { max, windowMinutes }, comments: { max, windowMinutes } }
+    duplicates: { threshold: 0.8, action: 'reject' } // Near-duplicate check; action is reject or hold, null turns it off
+};
+
+class CategoryRegistry {
+    constructor({ defaults = {}, categories = [] } = {}) {
+        this.defaults = { ...BUILTIN_DEFAULTS, ...defaults };
+        this.categories = new Map();
+
+        categories.forEach(category => this.add(category));
+    }
+
+    // Load a registry from a JSON file
+    static load(file = DEFAULT_FILE) {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return new CategoryRegistry(config);
+    }
+
+    add({ slug, icon = '', names = {}, description = {}, rules = {} }) {
+        if (!SLUG_PATTERN.test(slug || '')) {
+            throw new Error(`Invalid category slug: ${slug}`);
+        }
+        if (this.categories.has(slug)) {
+            throw new Error(`Duplicate category: ${slug}`);
+        }
+
+        this.categories.set(slug, {
+            slug,
+            icon,
+            names,
+            description,
+            rules: { ...this.defaults, ...rules }
+        });
+    }
+
+    has(slug) {
+        return this.categories.has(slug);
+    }
+
+    get(slug) {
+        return this.categories.get(slug) || null;
+    }
+
+    slugs() {
+        return Array.from(this.categories.keys());
+    }
+
+    // Effective rules for a category
+    rules(slug) {
+        const category = this.get(slug);
+        return category ? category.rules : { ...this.defaults };
+    }
+
+    // Post lifetime in milliseconds
+    postTtl(slug) {
+        return this.rules(slug).postTtlHours * 60 * 60 * 1000;
+    }
+
+    // Public view of the registry, with names resolved for a locale
+    list(locale = DEFAULT_LOCALE) {
+        const pick = (values) => values[locale] || values[DEFAULT_LOCALE] || Object.values(values)[0] || '';
+
+        return Array.from(this.categories.values(), ({ slug, icon, names, description, rules }) => ({
+            slug,
+            icon,
+            name: pick(names),
+            description: pick(description),
+            names,
+            descriptions: description,
+            rules: { ...rules }
+        }));
+    }
+}
+
+module.exports = {
+    CategoryRegistry
+};
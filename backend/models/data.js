@@ -1,15 +1,521 @@
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MemoryStorage } = require('./storage');
+const { SearchIndex, fold } = require('./search');
+const { SimilarityIndex } = require('./similarity');
+const { MinHeap, RecentCounter } = require('./indexes');
+const { Ranker } = require('./ranking');
+const { Moderation, REPORT_REASONS, SYSTEM_REPORTER } = require('./moderation');
+const markdown = require('./markdown');
 
-class DataStore {
-    constructor() {
-        this.posts = [];
+// Lifetimes a poster may choose from
+const POST_TTLS = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ANON_PREFIXES = [
+    'Anon', 'Ghost', 'Shadow', 'Phantom', 'Mystery', 'Unknown',
+    'Cipher', 'Void', 'Echo', 'Raven', 'Sage', 'Nova', 'Zen'
+];
+
+// Emits 'post.created', 'comment.created' and 'post.liked' after live mutations
+class DataStore extends EventEmitter {
+    constructor({ storage = new MemoryStorage(), ranking = {}, moderation = {}, similarity = {}, pseudonymSecret } = {}) {
+        super();
+        this.postIndex = new Map(); // Post ID -> post, oldest first
+        this.categoryIndex = new Map(); // Category -> Set of posts
+        this.pinnedPosts = new Set(); // Posts with a pin, including lapsed ones
+        this.hiddenPosts = new Set(); // Posts held or hidden by moderation
+        this.expiryQueue = new MinHeap(); // { at, postId }: when each post may expire
+        this.counters = { comments: 0, likes: 0 }; // Totals over stored posts
+        this.recentPosts = new RecentCounter();
+        this.recentComments = new RecentCounter();
         this.postIdCounter = 1;
         this.commentIdCounter = 1;
+        // Requesters are identified by `ipHashes`: their IP hashed under every
+        // identity key still in use, current first (see models/identity.js).
+        // Lookups match any of them; new records use the current one.
         this.likedPosts = new Map(); // IP hash -> Set of post IDs
+        this.pollVotes = new Map(); // IP hash -> Map of post ID -> option ID
         this.maxPosts = 500; // Limit total posts
         this.maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+        this.maxLifetime = POST_TTLS['30d']; // Cap for posts extended by activity
+        this.maxBurnViews = 100;
+        this.editWindow = 60 * 60 * 1000; // Authors can edit for 1 hour
+        this.maxEditHistory = 10;
+        this.storage = storage;
+        this.searchIndex = new SearchIndex({ isExpired: (post, now) => this.isExpired(post, now) });
+        this.similarity = new SimilarityIndex(similarity); // Near-duplicate detection over recent content
+        this.ranker = new Ranker(ranking);
+        this.moderation = new Moderation(moderation);
+        // Without a configured secret, pseudonyms only stay stable until restart
+        this.pseudonymSecret = pseudonymSecret || crypto.randomBytes(32).toString('hex');
+        this.seq = 0; // Sequence number of the last applied mutation
+        
+        this.load();
+        
+        console.log(`📊 DataStore initialized (${this.storage.name})`);
+    }
+
+    // Restore state from storage: latest snapshot, then replay the log
+    load() {
+        const { snapshot, entries } = this.storage.load();
+
+        if (snapshot) {
+            this.restore(snapshot);
+        }
+
+        let replayed = 0;
+        for (const entry of entries) {
+            // Entries already covered by the snapshot
+            if (entry.seq <= this.seq) continue;
+
+            this.apply(entry);
+            this.seq = entry.seq;
+            replayed++;
+        }
+
+        // A crash between a burn post's last view and its deletion leaves it behind
+        this.postIndex.forEach(post => {
+            if (post.burnAfterViews && post.views >= post.burnAfterViews) {
+                this.unindexPost(post.id);
+            }
+        });
+
+        if (snapshot || replayed > 0) {
+            console.log(`💾 Restored ${this.postIndex.size} posts (${replayed} log entries replayed)`);
+        }
+    }
+
+    // Stored posts, newest first
+    get posts() {
+        return Array.from(this.postIndex.values()).reverse();
+    }
+
+    // Serialize full state for a snapshot
+    serialize() {
+        return {
+            version: 1,
+            seq: this.seq,
+            posts: this.posts,
+            likedPosts: Array.from(this.likedPosts, ([ipHash, postIds]) => [ipHash, Array.from(postIds)]),
+            pollVotes: Array.from(this.pollVotes, ([ipHash, votes]) => [ipHash, Array.from(votes)]),
+            moderation: this.moderation.serialize()
+        };
+    }
+
+    // Replace in-memory state with a snapshot
+    restore(state) {
+        this.seq = state.seq || 0;
+        this.postIndex.clear();
+        this.categoryIndex.clear();
+        this.pinnedPosts.clear();
+        this.hiddenPosts.clear();
+        this.expiryQueue.clear();
+        this.counters = { comments: 0, likes: 0 };
+        this.recentPosts.clear();
+        this.recentComments.clear();
+        this.searchIndex.rebuild([]);
+        this.similarity.clear();
+        // Snapshots list posts newest first
+        (state.posts || []).slice().reverse().forEach(post => this.indexPost(post));
+        this.likedPosts = new Map(
+            (state.likedPosts || []).map(([ipHash, postIds]) => [ipHash, new Set(postIds)])
+        );
+        this.pollVotes = new Map(
+            (state.pollVotes || []).map(([ipHash, votes]) => [ipHash, new Map(votes)])
+        );
+        this.moderation.restore(state.moderation);
+        this.ranker.clear();
+    }
+
+    // Find a post that is publicly visible (not expired or hidden)
+    findLivePost(postId) {
+        const post = this.postIndex.get(postId);
         
-        console.log('📊 DataStore initialized (in-memory)');
+        if (!post || this.isExpired(post) || post.hidden) {
+            return null;
+        }
+
+        return post;
+    }
+
+    // Whether a pin is in effect (pins without an end last until unpinned)
+    isPinned(post, now = Date.now()) {
+        return Boolean(post.pin) && (!post.pin.until || post.pin.until > now);
+    }
+
+    // Whether a post has outlived its lifetime; pinned posts never do
+    isExpired(post, now = Date.now()) {
+        return post.expiresAt < now && !this.isPinned(post, now);
+    }
+
+    // Burn-after-reading posts stay out of search so snippets can't leak them
+    isSearchable(post) {
+        return !post.burnAfterViews;
+    }
+
+    // When a post will expire if nothing changes (Infinity while pinned for good)
+    expiryTime(post) {
+        if (!post.pin) return post.expiresAt;
+        return post.pin.until ? Math.max(post.pin.until, post.expiresAt) : Infinity;
+    }
+
+    // Queue a post for expiry; call again whenever its expiry time moves.
+    // Outdated queue entries are skipped when they come up.
+    scheduleExpiry(post) {
+        const at = this.expiryTime(post);
+        if (at !== Infinity) {
+            this.expiryQueue.push({ at, postId: post.id });
+        }
+    }
+
+    // Store a post and add it to every index and counter
+    indexPost(post) {
+        this.postIndex.set(post.id, post);
+
+        if (!this.categoryIndex.has(post.category)) {
+            this.categoryIndex.set(post.category, new Set());
+        }
+        this.categoryIndex.get(post.category).add(post);
+
+        if (post.pin) {
+            this.pinnedPosts.add(post);
+        }
+        if (post.hidden) {
+            this.hiddenPosts.add(post);
+        }
+        this.scheduleExpiry(post);
+
+        this.counters.comments += post.comments.length;
+        this.counters.likes += post.likes;
+        this.recentPosts.add(post.id, post.timestamp);
+        post.comments.forEach(comment => this.recentComments.add(`${post.id}/${comment.id}`, comment.timestamp));
+
+        if (this.isSearchable(post)) {
+            this.searchIndex.add(post);
+        }
+        this.ranker.update(post);
+
+        this.indexSimilarity(post);
+        post.comments.forEach(comment => this.indexSimilarity(post, comment));
+    }
+
+    // Add a post's or comment's text to the near-duplicate index
+    indexSimilarity(post, comment = null) {
+        const target = comment || post;
+        if (target.deleted) return;
+
+        this.similarity.add(
+            this.moderation.reportId(post.id, comment && comment.id),
+            comment ? comment.content : `${post.title}\n${post.content}`,
+            { postId: post.id, commentId: comment ? comment.id : null, category: post.category },
+            target.editedAt || target.timestamp
+        );
+    }
+
+    // Remove a post from the store, its indexes and counters
+    unindexPost(postId) {
+        const post = this.postIndex.get(postId);
+        if (!post) return;
+
+        this.postIndex.delete(postId);
+
+        const siblings = this.categoryIndex.get(post.category);
+        siblings.delete(post);
+        if (siblings.size === 0) {
+            this.categoryIndex.delete(post.category);
+        }
+
+        this.pinnedPosts.delete(post);
+        this.hiddenPosts.delete(post);
+
+        this.counters.comments -= post.comments.length;
+        this.counters.likes -= post.likes;
+        this.recentPosts.remove(postId);
+        post.comments.forEach(comment => this.recentComments.remove(`${postId}/${comment.id}`));
+
+        this.searchIndex.remove(postId);
+        this.ranker.remove(postId);
+
+        this.similarity.remove(this.moderation.reportId(postId));
+        post.comments.forEach(comment => this.similarity.remove(this.moderation.reportId(postId, comment.id)));
+    }
+
+    // Drop the oldest posts beyond maxPosts; pinned posts don't count and are never dropped
+    trimPosts(now) {
+        let excess = this.postIndex.size - this.maxPosts;
+        if (excess <= 0) return;
+
+        this.pinnedPosts.forEach(post => {
+            if (this.isPinned(post, now)) excess--;
+        });
+
+        for (const post of this.postIndex.values()) {
+            if (excess <= 0) break;
+            if (this.isPinned(post, now)) continue;
+
+            this.unindexPost(post.id);
+            excess--;
+        }
+    }
+
+    // Remove posts whose lifetime has run out; returns how many were removed
+    expirePosts(now = Date.now()) {
+        let removed = 0;
+
+        while (this.expiryQueue.size > 0 && this.expiryQueue.peek().at < now) {
+            const { postId } = this.expiryQueue.pop();
+            const post = this.postIndex.get(postId);
+
+            // Gone already, or extended or pinned since this entry was queued
+            if (!post || !this.isExpired(post, now)) continue;
+
+            this.unindexPost(postId);
+            removed++;
+        }
+
+        return removed;
+    }
+
+    // Apply a mutation to in-memory state (used live and on replay)
+    apply(entry) {
+        switch (entry.op) {
+            case 'post.create': {
+                this.indexPost(entry.post);
+                this.trimPosts(entry.post.timestamp);
+                break;
+            }
+            case 'post.like': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                if (!this.likedPosts.has(entry.ipHash)) {
+                    this.likedPosts.set(entry.ipHash, new Set());
+                }
+                this.likedPosts.get(entry.ipHash).add(entry.postId);
+                post.likes++;
+                this.counters.likes++;
+                this.ranker.update(post);
+                break;
+            }
+            case 'poll.vote': {
+                const post = this.postIndex.get(entry.postId);
+                const option = post && post.poll && post.poll.options.find(o => o.id === entry.optionId);
+                if (!option) break;
+
+                if (!this.pollVotes.has(entry.ipHash)) {
+                    this.pollVotes.set(entry.ipHash, new Map());
+                }
+                this.pollVotes.get(entry.ipHash).set(entry.postId, entry.optionId);
+                option.votes++;
+                post.poll.totalVotes++;
+                break;
+            }
+            case 'likes.import': {
+                if (!this.likedPosts.has(entry.ipHash)) {
+                    this.likedPosts.set(entry.ipHash, new Set());
+                }
+                entry.postIds.forEach(postId => this.likedPosts.get(entry.ipHash).add(postId));
+                break;
+            }
+            case 'votes.import': {
+                if (!this.pollVotes.has(entry.ipHash)) {
+                    this.pollVotes.set(entry.ipHash, new Map());
+                }
+                entry.votes.forEach(([postId, optionId]) => this.pollVotes.get(entry.ipHash).set(postId, optionId));
+                break;
+            }
+            case 'comment.create': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                post.comments.push(entry.comment);
+                this.counters.comments++;
+                this.recentComments.add(`${post.id}/${entry.comment.id}`, entry.comment.timestamp);
+                this.ranker.update(post);
+                this.indexSimilarity(post, entry.comment);
+
+                // Activity pushes expiry out to a full TTL from now, up to the cap
+                if (post.extendOnActivity) {
+                    const extended = Math.max(post.expiresAt, entry.comment.timestamp + post.ttl);
+                    post.expiresAt = Math.min(extended, post.timestamp + this.maxLifetime);
+                    this.scheduleExpiry(post);
+                }
+                break;
+            }
+            case 'post.update': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                this.recordEdit(post, ['title', 'content', 'tags']);
+                Object.assign(post, entry.changes, { editedAt: entry.editedAt });
+                if (this.isSearchable(post)) {
+                    this.searchIndex.add(post);
+                }
+                this.indexSimilarity(post);
+                break;
+            }
+            case 'post.pin': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                post.pin = entry.pin;
+                this.pinnedPosts.add(post);
+                this.scheduleExpiry(post);
+                break;
+            }
+            case 'post.unpin': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                delete post.pin;
+                this.pinnedPosts.delete(post);
+                this.scheduleExpiry(post);
+                break;
+            }
+            case 'post.view': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post || post.viewers.includes(entry.viewerHash)) break;
+
+                post.viewers.push(entry.viewerHash);
+                post.views = post.viewers.length;
+                break;
+            }
+            case 'post.delete':
+                this.unindexPost(entry.postId);
+                break;
+            case 'comment.update': {
+                const post = this.postIndex.get(entry.postId);
+                const comment = post && post.comments.find(c => c.id === entry.commentId);
+                if (!comment) break;
+
+                this.recordEdit(comment, ['content']);
+                Object.assign(comment, entry.changes, { editedAt: entry.editedAt });
+                this.indexSimilarity(post, comment);
+                break;
+            }
+            case 'comment.delete': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                // Keep a tombstone when replies hang off this comment
+                if (post.comments.some(c => c.parentId === entry.commentId)) {
+                    const comment = post.comments.find(c => c.id === entry.commentId);
+                    if (comment) {
+                        comment.content = '';
+                        comment.deleted = true;
+                        comment.editHistory = [];
+                    }
+                } else {
+                    const count = post.comments.length;
+                    post.comments = post.comments.filter(c => c.id !== entry.commentId);
+                    this.counters.comments -= count - post.comments.length;
+                    this.recentComments.remove(`${post.id}/${entry.commentId}`);
+                }
+                this.similarity.remove(this.moderation.reportId(post.id, entry.commentId));
+                this.ranker.update(post);
+                break;
+            }
+            case 'post.hide':
+            case 'post.unhide':
+            case 'post.lock':
+            case 'post.unlock': {
+                const post = this.postIndex.get(entry.postId);
+                if (!post) break;
+
+                const [, action] = entry.op.split('.');
+                const field = action.endsWith('hide') ? 'hidden' : 'locked';
+                post[field] = !action.startsWith('un');
+                if (post.hidden) {
+                    this.hiddenPosts.add(post);
+                } else {
+                    this.hiddenPosts.delete(post);
+                }
+                break;
+            }
+            case 'comment.hide':
+            case 'comment.unhide': {
+                const post = this.postIndex.get(entry.postId);
+                const comment = post && post.comments.find(c => c.id === entry.commentId);
+                if (comment) comment.hidden = entry.op === 'comment.hide';
+                break;
+            }
+            case 'report.create': {
+                const reporters = this.moderation.addReport(entry);
+                if (reporters >= this.moderation.autoHideThreshold) {
+                    this.autoHide(entry);
+                }
+                break;
+            }
+            case 'report.resolve':
+                this.moderation.resolveReport(entry.reportId, entry.status);
+                break;
+            case 'ban.create':
+                this.moderation.ban(entry);
+                break;
+            case 'ban.remove':
+                this.moderation.unban(entry.ipHash);
+                break;
+            default:
+                console.warn(`⚠️ Unknown mutation: ${entry.op}`);
+        }
+
+        if (entry.audit) {
+            this.moderation.recordAudit(entry);
+        }
+    }
+
+    // Hide reported content once enough distinct users reported it
+    autoHide({ seq, postId, commentId, timestamp }) {
+        const post = this.postIndex.get(postId);
+        const target = commentId ? post && post.comments.find(c => c.id === commentId) : post;
+        if (!target || target.hidden) return;
+
+        target.hidden = true;
+        if (!commentId) this.hiddenPosts.add(post);
+        this.moderation.recordAudit({
+            seq,
+            op: commentId ? 'comment.hide' : 'post.hide',
+            postId,
+            commentId,
+            audit: {
+                actor: 'system',
+                note: `Auto-hidden after ${this.moderation.autoHideThreshold} reports`,
+                timestamp
+            }
+        });
+    }
+
+    // Apply a mutation and record it in storage
+    commit(entry) {
+        entry.seq = ++this.seq;
+        this.apply(entry);
+        this.storage.append(entry);
+
+        if (this.storage.shouldSnapshot()) {
+            this.compact();
+        }
+    }
+
+    // Write a snapshot and truncate the log
+    compact() {
+        this.storage.compact(this.serialize());
+    }
+
+    // Persist buffered mutations (call before exit)
+    flush() {
+        this.storage.flush();
+    }
+
+    // Flush and release storage resources
+    close() {
+        this.storage.close();
     }
 
     // Generate unique ID
@@ -17,48 +523,194 @@ class DataStore {
         return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
     }
 
-    // Generate anonymous ID
-    generateAnonId() {
-        const prefixes = [
-            'Anon', 'Ghost', 'Shadow', 'Phantom', 'Mystery', 'Unknown',
-            'Cipher', 'Void', 'Echo', 'Raven', 'Sage', 'Nova', 'Zen'
-        ];
-        const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-        const number = Math.floor(Math.random() * 9999) + 1000;
+    // Stable pseudonym for one poster within one thread; unlinkable across threads
+    threadAnonId(ipHash, postId) {
+        const digest = crypto.createHmac('sha256', this.pseudonymSecret)
+            .update(`${postId}:${ipHash}`)
+            .digest();
+        const prefix = ANON_PREFIXES[digest.readUInt32BE(0) % ANON_PREFIXES.length];
+        const number = (digest.readUInt32BE(4) % 9000) + 1000;
         return `${prefix}${number}`;
     }
 
+    // Generate a one-time author token; only its hash is stored
+    generateAuthorToken() {
+        const token = crypto.randomBytes(24).toString('base64url');
+        return { token, hash: this.hashToken(token) };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // Constant-time check of a presented token against the stored hash
+    verifyAuthorToken(item, token) {
+        if (!token || !item.authorTokenHash) return false;
+
+        const expected = Buffer.from(item.authorTokenHash, 'hex');
+        const actual = Buffer.from(this.hashToken(token), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Check that a token may edit or delete an item
+    checkAuthor(item, token, { edit = false } = {}) {
+        if (!this.verifyAuthorToken(item, token)) {
+            return 'Invalid author token';
+        }
+        if (edit && Date.now() - item.timestamp > this.editWindow) {
+            return 'Edit window has expired';
+        }
+        return null;
+    }
+
+    // Push the current version of the given fields onto the edit history
+    recordEdit(item, fields) {
+        const previous = { editedAt: item.editedAt || item.timestamp };
+        fields.forEach(field => {
+            previous[field] = item[field];
+        });
+
+        item.editHistory = [...(item.editHistory || []), previous].slice(-this.maxEditHistory);
+    }
+
     // Create new post
-    createPost({ title, content, category, tags = [], ipHash }) {
+    // ttl is the lifetime in milliseconds; with extendOnActivity each comment
+    // pushes expiry out to a full ttl from then (up to maxLifetime). With
+    // burnAfterViews the post is deleted once that many distinct viewers have
+    // opened it. A post with `held` (the reason) is hidden and queued for review.
+    createPost({
+        title, content, category, tags = [], ipHash, type = 'text', poll = null, format = 'markdown',
+        ttl = this.maxAge, extendOnActivity = false, burnAfterViews = null, held = null
+    }) {
+        const author = this.generateAuthorToken();
+        const id = this.generateId();
         const post = {
-            id: this.generateId(),
-            anonId: this.generateAnonId(),
+            id,
+            anonId: this.threadAnonId(ipHash, id),
+            type,
             title,
             content,
+            format,
+            contentHtml: markdown.render(content, format),
             category,
             tags: tags.slice(0, 5), // Max 5 tags
             timestamp: Date.now(),
             likes: 0,
             comments: [],
             ipHash,
-            expiresAt: Date.now() + this.maxAge
+            authorTokenHash: author.hash,
+            ttl,
+            extendOnActivity: Boolean(extendOnActivity),
+            expiresAt: Date.now() + ttl
         };
 
-        this.posts.unshift(post); // Add to beginning
+        if (burnAfterViews) {
+            post.burnAfterViews = Math.min(this.maxBurnViews, burnAfterViews);
+            post.views = 0;
+            post.viewers = [];
+        }
+
+        if (type === 'poll') {
+            post.poll = {
+                options: poll.options.map((text, index) => ({ id: index + 1, text, votes: 0 })),
+                totalVotes: 0,
+                closesAt: poll.closesAt || null,
+                hideResults: Boolean(poll.hideResults)
+            };
+        }
+
+        if (held) {
+            post.hidden = true;
+        }
+
+        this.commit({ op: 'post.create', post });
+
+        if (held) {
+            this.queueForReview(id, null, 'duplicate', held);
+        } else {
+            this.emit('post.created', { post: this.sanitizePost(post) });
+        }
+
+        return { ...this.sanitizePost(post, { reveal: true }), authorToken: author.token };
+    }
+
+    // Edit a post (author only, within the edit window); with `held` (the
+    // reason) it is hidden and queued for review
+    updatePost(postId, token, { title, content, tags, held = null }) {
+        const post = this.findLivePost(postId);
+        
+        if (!post) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        const denied = this.checkAuthor(post, token, { edit: true });
+        if (denied) {
+            return { success: false, message: denied };
+        }
+
+        const changes = { title, content, contentHtml: markdown.render(content, post.format || 'plain') };
+        if (Array.isArray(tags)) {
+            changes.tags = tags.slice(0, 5);
+        }
+
+        this.commit({ op: 'post.update', postId, changes, editedAt: Date.now() });
+
+        if (held) {
+            this.holdContent(postId, null, held);
+        }
+
+        return { success: true, post: this.sanitizePost(post) };
+    }
+
+    // Delete a post (author only)
+    deletePost(postId, token) {
+        const post = this.findLivePost(postId);
         
-        // Keep only max posts
-        if (this.posts.length > this.maxPosts) {
-            this.posts = this.posts.slice(0, this.maxPosts);
+        if (!post) {
+            return { success: false, message: 'Post not found' };
         }
 
-        return this.sanitizePost(post);
+        const denied = this.checkAuthor(post, token);
+        if (denied) {
+            return { success: false, message: denied };
+        }
+
+        this.commit({ op: 'post.delete', postId });
+
+        return { success: true };
     }
 
     // Get posts with filtering and pagination
-    getPosts({ category, page = 1, limit = 20, sort = 'timestamp' } = {}) {
-        let filtered = this.posts.filter(post => {
+    // Pinned posts in scope (global pins, plus the category's own) are
+    // returned separately on every page and left out of the sorted list
+    getPosts({ category, tag, page = 1, limit = 20, sort = 'timestamp', viewerHashes = [] } = {}) {
+        const now = Date.now();
+        const pinned = [];
+        const foldedTag = tag ? fold(tag) : null;
+        
+        // Newest first: the category's own posts plus global pins from elsewhere
+        const candidates = category
+            ? [
+                ...Array.from(this.categoryIndex.get(category) || []).reverse(),
+                ...Array.from(this.pinnedPosts).filter(post => post.pin.scope === 'global' && post.category !== category)
+            ]
+            : this.posts;
+        
+        let filtered = candidates.filter(post => {
             // Filter expired posts
-            if (post.expiresAt < Date.now()) return false;
+            if (this.isExpired(post, now)) return false;
+            
+            // Filter hidden posts
+            if (post.hidden) return false;
+            
+            // Filter by tag (pinned posts too)
+            if (foldedTag && !post.tags.some(t => fold(t) === foldedTag)) return false;
+            
+            if (this.isPinned(post, now)) {
+                const inScope = post.pin.scope === 'global' || (category && post.category === category);
+                if (inScope) pinned.push(post);
+                if (inScope || post.pin.scope === 'global') return false;
+            }
             
             // Filter by category
             if (category && post.category !== category) return false;
@@ -74,6 +726,15 @@ class DataStore {
             case 'comments':
                 filtered.sort((a, b) => b.comments.length - a.comments.length);
                 break;
+            case 'hot':
+            case 'rising':
+                if (this.ranker.isStale()) {
+                    this.ranker.refresh(this.posts);
+                }
+                filtered.sort((a, b) => 
+                    this.ranker.get(b.id, sort) - this.ranker.get(a.id, sort) || b.timestamp - a.timestamp
+                );
+                break;
             case 'timestamp':
             default:
                 filtered.sort((a, b) => b.timestamp - a.timestamp);
@@ -86,8 +747,14 @@ class DataStore {
         const offset = (page - 1) * limit;
         const paginatedPosts = filtered.slice(offset, offset + limit);
 
+        // Global pins first, then the most recently pinned
+        pinned.sort((a, b) => 
+            (b.pin.scope === 'global') - (a.pin.scope === 'global') || b.pin.pinnedAt - a.pin.pinnedAt
+        );
+
         return {
-            posts: paginatedPosts.map(post => this.sanitizePost(post)),
+            pinned: pinned.map(post => this.sanitizePost(post, { viewerHashes })),
+            posts: paginatedPosts.map(post => this.sanitizePost(post, { viewerHashes })),
             pagination: {
                 current: page,
                 total: totalPages,
@@ -98,117 +765,321 @@ class DataStore {
         };
     }
 
-    // Get single post
-    getPost(id) {
-        const post = this.posts.find(p => p.id === id);
+    // Get single post; opening a burn-after-reading post counts as a view
+    getPost(id, { viewerHashes = [] } = {}) {
+        const post = this.findLivePost(id);
         
-        if (!post || post.expiresAt < Date.now()) {
+        if (!post) {
             return null;
         }
 
-        return this.sanitizePost(post);
+        if (!post.burnAfterViews) {
+            return this.sanitizePost(post, { viewerHashes });
+        }
+
+        // The author's own views don't count, nor do repeat views
+        const seen = viewerHashes.some(hash => hash === post.ipHash || post.viewers.includes(hash));
+        if (viewerHashes.length > 0 && !seen) {
+            this.commit({ op: 'post.view', postId: id, viewerHash: viewerHashes[0] });
+        }
+
+        const result = this.sanitizePost(post, { viewerHashes, reveal: true });
+
+        // The last allowed viewer still gets the content
+        if (post.views >= post.burnAfterViews) {
+            this.commit({ op: 'post.delete', postId: id, reason: 'burned' });
+        }
+
+        return result;
+    }
+
+    // Vote in a poll (one vote per voter, deduped like likes)
+    votePoll(postId, ipHashes, optionId) {
+        const post = this.findLivePost(postId);
+        
+        if (!post || !post.poll) {
+            return { success: false, message: 'Poll not found' };
+        }
+
+        if (post.poll.closesAt && post.poll.closesAt <= Date.now()) {
+            return { success: false, message: 'Poll is closed' };
+        }
+
+        if (!post.poll.options.some(option => option.id === optionId)) {
+            return { success: false, message: 'Invalid poll option' };
+        }
+
+        if (ipHashes.some(hash => this.pollVotes.has(hash) && this.pollVotes.get(hash).has(postId))) {
+            return { success: false, message: 'Already voted' };
+        }
+
+        this.commit({ op: 'poll.vote', postId, ipHash: ipHashes[0], optionId });
+
+        return { success: true, poll: this.sanitizePoll(post, ipHashes) };
     }
 
     // Like a post
-    likePost(postId, userIP) {
-        const post = this.posts.find(p => p.id === postId);
+    likePost(postId, ipHashes) {
+        const post = this.findLivePost(postId);
         
-        if (!post || post.expiresAt < Date.now()) {
+        if (!post) {
             return { success: false, message: 'Post not found' };
         }
 
-        const ipHash = this.hashIP(userIP);
-        
         // Check if already liked
-        if (!this.likedPosts.has(ipHash)) {
-            this.likedPosts.set(ipHash, new Set());
-        }
-        
-        const userLikes = this.likedPosts.get(ipHash);
-        
-        if (userLikes.has(postId)) {
+        if (ipHashes.some(hash => this.likedPosts.has(hash) && this.likedPosts.get(hash).has(postId))) {
             return { success: false, message: 'Already liked' };
         }
 
         // Add like
-        post.likes++;
-        userLikes.add(postId);
+        this.commit({ op: 'post.like', postId, ipHash: ipHashes[0] });
+        this.emit('post.liked', { postId, category: post.category, likes: post.likes });
 
         return { success: true, likes: post.likes };
     }
 
-    // Create comment
-    createComment(postId, { content, ipHash }) {
-        const post = this.posts.find(p => p.id === postId);
+    // Create comment; with `held` (the reason) it is hidden and queued for review
+    createComment(postId, { content, ipHashes, parentId = null, format = 'markdown', held = null }) {
+        const post = this.findLivePost(postId);
         
-        if (!post || post.expiresAt < Date.now()) {
+        if (!post) {
             return { success: false, message: 'Post not found' };
         }
 
+        if (post.locked) {
+            return { success: false, message: 'Thread is locked' };
+        }
+
+        // Replies must point at a comment in the same post
+        if (parentId && !post.comments.some(c => c.id === parentId && !c.deleted)) {
+            return { success: false, message: 'Parent comment not found' };
+        }
+
+        // Keep the name the thread already knows the commenter by, even across a key rotation
+        const ipHash = ipHashes.find(hash =>
+            hash === post.ipHash || post.comments.some(c => c.ipHash === hash)
+        ) || ipHashes[0];
+
+        const author = this.generateAuthorToken();
         const comment = {
             id: this.generateId(),
-            anonId: this.generateAnonId(),
+            anonId: this.threadAnonId(ipHash, postId),
+            isOP: ipHash === post.ipHash,
             content,
+            format,
+            contentHtml: markdown.render(content, format),
+            parentId: parentId || null,
             timestamp: Date.now(),
-            ipHash
+            ipHash,
+            authorTokenHash: author.hash
         };
 
-        post.comments.push(comment);
+        if (held) {
+            comment.hidden = true;
+        }
+
+        this.commit({ op: 'comment.create', postId, comment });
+
+        if (held) {
+            this.queueForReview(postId, comment.id, 'duplicate', held);
+        } else {
+            this.emit('comment.created', { postId, category: post.category, comment: this.sanitizeComment(comment) });
+        }
 
         return { 
             success: true, 
-            comment: this.sanitizeComment(comment) 
+            comment: { ...this.sanitizeComment(comment), authorToken: author.token }
         };
     }
 
-    // Get comments for a post
-    getComments(postId) {
-        const post = this.posts.find(p => p.id === postId);
+    // Find a live comment within a live post
+    findComment(postId, commentId) {
+        const post = this.findLivePost(postId);
         
-        if (!post || post.expiresAt < Date.now()) {
+        if (!post) {
+            return { error: 'Post not found' };
+        }
+
+        const comment = post.comments.find(c => c.id === commentId);
+        
+        if (!comment || comment.deleted || comment.hidden) {
+            return { error: 'Comment not found' };
+        }
+
+        return { post, comment };
+    }
+
+    // Edit a comment (author only, within the edit window); with `held` (the
+    // reason) it is hidden and queued for review
+    updateComment(postId, commentId, token, { content, held = null }) {
+        const { comment, error } = this.findComment(postId, commentId);
+        
+        if (error) {
+            return { success: false, message: error };
+        }
+
+        const denied = this.checkAuthor(comment, token, { edit: true });
+        if (denied) {
+            return { success: false, message: denied };
+        }
+
+        const changes = { content, contentHtml: markdown.render(content, comment.format || 'plain') };
+        this.commit({ op: 'comment.update', postId, commentId, changes, editedAt: Date.now() });
+
+        if (held) {
+            this.holdContent(postId, commentId, held);
+        }
+
+        return { success: true, comment: this.sanitizeComment(comment) };
+    }
+
+    // Delete a comment (author only)
+    deleteComment(postId, commentId, token) {
+        const { comment, error } = this.findComment(postId, commentId);
+        
+        if (error) {
+            return { success: false, message: error };
+        }
+
+        const denied = this.checkAuthor(comment, token);
+        if (denied) {
+            return { success: false, message: denied };
+        }
+
+        this.commit({ op: 'comment.delete', postId, commentId });
+
+        return { success: true };
+    }
+
+    // Get comments for a post as a reply tree
+    getComments(postId, { maxDepth = 5 } = {}) {
+        const post = this.findLivePost(postId);
+        
+        if (!post) {
             return [];
         }
 
-        return post.comments.map(comment => this.sanitizeComment(comment));
+        const children = this.groupReplies(post.comments);
+        
+        return (children.get(null) || []).map(comment => 
+            this.buildCommentTree(comment, children, maxDepth)
+        );
+    }
+
+    // Latest visible comments on a live post, newest first (for thread feeds)
+    getRecentComments(postId, { limit = 50 } = {}) {
+        const post = this.findLivePost(postId);
+        
+        if (!post) {
+            return null;
+        }
+
+        const comments = post.comments
+            .filter(comment => !comment.hidden && !comment.deleted)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit)
+            .map(comment => this.sanitizeComment(comment));
+
+        return { post: this.sanitizePost(post), comments };
+    }
+
+    // Get a single comment with its replies
+    getCommentThread(postId, commentId, { maxDepth = 5 } = {}) {
+        const post = this.findLivePost(postId);
+        
+        if (!post) {
+            return null;
+        }
+
+        const comment = post.comments.find(c => c.id === commentId);
+        
+        if (!comment) {
+            return null;
+        }
+
+        return this.buildCommentTree(comment, this.groupReplies(post.comments), maxDepth);
+    }
+
+    // Index comments by parent ID (null for top-level comments)
+    groupReplies(comments) {
+        const children = new Map();
+        
+        comments.forEach(comment => {
+            const parentId = comment.parentId || null;
+            if (!children.has(parentId)) {
+                children.set(parentId, []);
+            }
+            children.get(parentId).push(comment);
+        });
+        
+        return children;
+    }
+
+    // Build a nested comment, stopping at maxDepth levels of replies
+    buildCommentTree(comment, children, maxDepth, depth = 0) {
+        const replies = children.get(comment.id) || [];
+        const node = {
+            ...this.sanitizeComment(comment),
+            depth,
+            replyCount: replies.length,
+            replies: []
+        };
+
+        if (depth < maxDepth) {
+            node.replies = replies.map(reply => 
+                this.buildCommentTree(reply, children, maxDepth, depth + 1)
+            );
+        } else {
+            // Clients fetch the rest via the subtree endpoint
+            node.hasMoreReplies = replies.length > 0;
+        }
+
+        return node;
     }
 
-    // Get statistics
+    // Get statistics from the running counters
     getStats() {
         const now = Date.now();
-        const validPosts = this.posts.filter(post => post.expiresAt > now);
-        
-        const totalComments = validPosts.reduce((sum, post) => sum + post.comments.length, 0);
-        const totalLikes = validPosts.reduce((sum, post) => sum + post.likes, 0);
+        this.expirePosts(now);
         
         // Recent activity (last 24 hours)
-        const oneDayAgo = now - (24 * 60 * 60 * 1000);
-        const recentPosts = validPosts.filter(post => post.timestamp > oneDayAgo);
-        const recentComments = validPosts.reduce((count, post) => {
-            return count + post.comments.filter(comment => comment.timestamp > oneDayAgo).length;
-        }, 0);
+        const oneDayAgo = now - DAY;
+
+        // Hidden posts are left out, as they are from search
+        const hidden = { posts: 0, comments: 0, likes: 0, postsToday: 0, commentsToday: 0 };
+        this.hiddenPosts.forEach(post => {
+            hidden.posts++;
+            hidden.comments += post.comments.length;
+            hidden.likes += post.likes;
+            if (post.timestamp >= oneDayAgo) hidden.postsToday++;
+            hidden.commentsToday += post.comments.filter(comment => comment.timestamp >= oneDayAgo).length;
+        });
 
         return {
-            totalPosts: validPosts.length,
-            totalComments,
-            totalLikes,
-            postsToday: recentPosts.length,
-            commentsToday: recentComments,
-            categories: this.getCategoryStats(validPosts),
+            totalPosts: this.postIndex.size - hidden.posts,
+            totalComments: this.counters.comments - hidden.comments,
+            totalLikes: this.counters.likes - hidden.likes,
+            postsToday: this.recentPosts.count(oneDayAgo) - hidden.postsToday,
+            commentsToday: this.recentComments.count(oneDayAgo) - hidden.commentsToday,
+            categories: this.getCategoryStats(now),
             memoryUsage: {
-                posts: this.posts.length,
+                posts: this.postIndex.size,
                 maxPosts: this.maxPosts,
-                usage: Math.round((this.posts.length / this.maxPosts) * 100)
+                usage: Math.round((this.postIndex.size / this.maxPosts) * 100)
             }
         };
     }
 
     // Get category statistics
-    getCategoryStats(posts = null) {
-        const validPosts = posts || this.posts.filter(post => post.expiresAt > Date.now());
+    getCategoryStats(now = Date.now()) {
+        this.expirePosts(now);
         const stats = {};
         
-        validPosts.forEach(post => {
-            stats[post.category] = (stats[post.category] || 0) + 1;
+        this.categoryIndex.forEach((posts, category) => {
+            stats[category] = posts.size;
+        });
+        this.hiddenPosts.forEach(post => {
+            if (--stats[post.category] === 0) delete stats[post.category];
         });
         
         return stats;
@@ -217,14 +1088,23 @@ class DataStore {
     // Clean up expired posts
     cleanup() {
         const now = Date.now();
-        const initialLength = this.posts.length;
+        const removedCount = this.expirePosts(now);
         
-        this.posts = this.posts.filter(post => post.expiresAt > now);
+        // Extended and re-pinned posts leave outdated entries in the expiry
+        // queue; rebuild it once they outnumber the posts
+        if (this.expiryQueue.size > 2 * this.postIndex.size) {
+            this.expiryQueue.clear();
+            this.postIndex.forEach(post => this.scheduleExpiry(post));
+        }
         
         // Clean up liked posts map
         this.cleanupLikedPosts();
         
-        const removedCount = initialLength - this.posts.length;
+        // Drop expired bans and reports for removed posts
+        this.moderation.prune(this.postIndex, now);
+        
+        // Compact the log so it doesn't grow without bound
+        this.compact();
         
         if (removedCount > 0) {
             console.log(`🧹 Cleaned up ${removedCount} expired posts`);
@@ -235,12 +1115,22 @@ class DataStore {
 
     // Clean up liked posts map (remove expired entries)
     cleanupLikedPosts() {
-        const validPostIds = new Set(this.posts.map(post => post.id));
+        for (const [ipHash, votes] of this.pollVotes) {
+            for (const postId of votes.keys()) {
+                if (!this.postIndex.has(postId)) {
+                    votes.delete(postId);
+                }
+            }
+            
+            if (votes.size === 0) {
+                this.pollVotes.delete(ipHash);
+            }
+        }
         
         for (const [ipHash, likedSet] of this.likedPosts) {
             // Remove likes for posts that no longer exist
             for (const postId of likedSet) {
-                if (!validPostIds.has(postId)) {
+                if (!this.postIndex.has(postId)) {
                     likedSet.delete(postId);
                 }
             }
@@ -252,30 +1142,84 @@ class DataStore {
         }
     }
 
-    // Hash IP for privacy
-    hashIP(ip) {
-        const salt = process.env.IP_SALT || 'anonforum-salt-2024';
-        return crypto.createHash('sha256').update(ip + salt).digest('hex');
+    // Remove sensitive data from post
+    // Burn-after-reading content is only revealed when the post is opened
+    sanitizePost(post, { viewerHashes = [], reveal = false } = {}) {
+        const { ipHash, authorTokenHash, editHistory, viewers, ...sanitized } = post;
+        const result = {
+            ...sanitized,
+            ...this.renderedContent(post),
+            comments: post.comments.map(comment => this.sanitizeComment(comment)),
+            remainingSeconds: Math.max(0, Math.floor((post.expiresAt - Date.now()) / 1000))
+        };
+
+        if (post.poll) {
+            result.poll = this.sanitizePoll(post, viewerHashes);
+        }
+
+        if (post.burnAfterViews) {
+            result.viewsRemaining = Math.max(0, post.burnAfterViews - post.views);
+
+            if (!reveal) {
+                result.content = '';
+                result.contentHtml = '';
+                result.sealed = true;
+            }
+        }
+
+        return result;
     }
 
-    // Remove sensitive data from post
-    sanitizePost(post) {
-        const { ipHash, ...sanitized } = post;
+    // Poll results as seen by a voter (hidden until they vote, if requested)
+    sanitizePoll(post, viewerHashes = []) {
+        const { options, totalVotes, closesAt, hideResults } = post.poll;
+        const voter = viewerHashes.find(hash => this.pollVotes.has(hash) && this.pollVotes.get(hash).has(post.id));
+        const votedOption = voter ? this.pollVotes.get(voter).get(post.id) : null;
+        const closed = Boolean(closesAt && closesAt <= Date.now());
+        const resultsHidden = hideResults && votedOption === null && !closed;
+
         return {
-            ...sanitized,
-            comments: post.comments.map(comment => this.sanitizeComment(comment))
+            options: options.map(({ id, text, votes: count }) => 
+                resultsHidden ? { id, text } : { id, text, votes: count }
+            ),
+            totalVotes: resultsHidden ? null : totalVotes,
+            closesAt,
+            closed,
+            hideResults,
+            resultsHidden,
+            votedOption
         };
     }
 
     // Remove sensitive data from comment
     sanitizeComment(comment) {
-        const { ipHash, ...sanitized } = comment;
-        return sanitized;
+        // Hidden comments keep their place in the thread without content
+        if (comment.hidden) {
+            return {
+                id: comment.id,
+                parentId: comment.parentId || null,
+                timestamp: comment.timestamp,
+                content: '',
+                hidden: true
+            };
+        }
+
+        const { ipHash, authorTokenHash, editHistory, ...sanitized } = comment;
+        return { ...sanitized, ...this.renderedContent(comment), isOP: Boolean(comment.isOP) };
+    }
+
+    // Source format and sanitized HTML; items from before Markdown support render as plain text
+    renderedContent(item) {
+        const format = item.format || 'plain';
+        return {
+            format,
+            contentHtml: item.contentHtml || markdown.render(item.content, format)
+        };
     }
 
     // Initialize with sample data
     initSampleData() {
-        if (this.posts.length > 0) return;
+        if (this.postIndex.size > 0) return;
 
         const samplePosts = [
             {
@@ -302,9 +1246,11 @@ class DataStore {
         ];
 
         samplePosts.forEach((postData, index) => {
+            const id = this.generateId();
+            const ipHash = this.hashToken(`sample-ip-${index}`);
             const post = {
-                id: this.generateId(),
-                anonId: this.generateAnonId(),
+                id,
+                anonId: this.threadAnonId(ipHash, id),
                 title: postData.title,
                 content: postData.content,
                 category: postData.category,
@@ -312,22 +1258,30 @@ class DataStore {
                 timestamp: postData.timestamp,
                 likes: Math.floor(Math.random() * 10) + 1,
                 comments: [],
-                ipHash: this.hashIP(`sample-ip-${index}`),
+                ipHash,
                 expiresAt: Date.now() + this.maxAge
             };
 
+            // Keep the welcome post at the top of every feed
+            if (index === 0) {
+                post.pin = { scope: 'global', until: null, pinnedAt: Date.now() };
+            }
+
             // Add some sample comments
             if (index === 0) {
+                const commenterHash = this.hashToken('sample-commenter-1');
                 post.comments.push({
                     id: this.generateId(),
-                    anonId: this.generateAnonId(),
+                    anonId: this.threadAnonId(commenterHash, id),
+                    isOP: false,
                     content: "Cảm ơn admin đã tạo ra forum này! Rất hữu ích cho community.",
+                    parentId: null,
                     timestamp: Date.now() - 1 * 60 * 60 * 1000,
-                    ipHash: this.hashIP('sample-commenter-1')
+                    ipHash: commenterHash
                 });
             }
 
-            this.posts.push(post);
+            this.commit({ op: 'post.create', post });
         });
 
         console.log(`📝 Loaded ${samplePosts.length} sample posts`);
@@ -336,7 +1290,7 @@ class DataStore {
     // Get trending tags
     getTrendingTags(limit = 10) {
         const now = Date.now();
-        const validPosts = this.posts.filter(post => post.expiresAt > now);
+        const validPosts = this.posts.filter(post => !this.isExpired(post, now) && !post.hidden);
         const tagCounts = {};
         
         validPosts.forEach(post => {
@@ -351,24 +1305,271 @@ class DataStore {
             .map(([tag, count]) => ({ tag, count }));
     }
 
-    // Search posts
-    searchPosts(query, limit = 20) {
-        if (!query || query.trim().length < 2) return [];
+    // Report a post or comment for moderation
+    reportContent(postId, commentId, { reason, details, ipHashes }) {
+        const post = this.findLivePost(postId);
         
-        const searchTerm = query.toLowerCase().trim();
-        const now = Date.now();
+        if (!post) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        if (commentId && !post.comments.some(c => c.id === commentId && !c.deleted && !c.hidden)) {
+            return { success: false, message: 'Comment not found' };
+        }
+
+        if (!REPORT_REASONS.includes(reason)) {
+            return { success: false, message: 'Invalid report reason' };
+        }
+
+        const reportId = this.moderation.reportId(postId, commentId);
+        if (ipHashes.some(hash => this.moderation.hasReported(reportId, hash))) {
+            return { success: false, message: 'Already reported' };
+        }
+
+        this.commit({
+            op: 'report.create',
+            postId,
+            commentId: commentId || null,
+            reason,
+            details: details || null,
+            ipHash: ipHashes[0],
+            timestamp: Date.now()
+        });
+
+        return { success: true };
+    }
+
+    // Queue content for moderator review as the system reporter
+    queueForReview(postId, commentId, reason, details) {
+        const reportId = this.moderation.reportId(postId, commentId);
+        if (this.moderation.hasReported(reportId, SYSTEM_REPORTER)) return;
+
+        this.commit({
+            op: 'report.create',
+            postId,
+            commentId: commentId || null,
+            reason,
+            details,
+            ipHash: SYSTEM_REPORTER,
+            timestamp: Date.now()
+        });
+    }
+
+    // Hide published content pending review and queue it for moderators
+    holdContent(postId, commentId, reason) {
+        this.commit({
+            op: commentId ? 'comment.hide' : 'post.hide',
+            postId,
+            commentId: commentId || null,
+            audit: { actor: 'system', note: reason, timestamp: Date.now() }
+        });
+        this.queueForReview(postId, commentId, 'duplicate', reason);
+    }
+
+    // Queue automatically flagged content for review without hiding it
+    flagContent(postId, commentId, { score, signals }) {
+        this.queueForReview(postId, commentId, 'auto_flag', `Abuse signals: ${signals.join(', ')} (score ${score})`);
+    }
+
+    // Most similar recent post or comment at or above `threshold` (0-1), as
+    // { key, postId, commentId, category, similarity }, or null. Pass the
+    // post and comment being edited so they don't match themselves.
+    findDuplicate(text, threshold, { postId = null, commentId = null } = {}) {
+        const exclude = postId ? this.moderation.reportId(postId, commentId) : null;
+        return this.similarity.nearest(text, threshold, { exclude });
+    }
+
+    // Record an admin action in the log and audit trail
+    commitAdmin(entry, note) {
+        this.commit({ ...entry, audit: { actor: 'admin', note: note || null, timestamp: Date.now() } });
+    }
+
+    // Admin action on a post: hide, unhide, lock, unlock or delete
+    moderatePost(postId, action, note) {
+        const actions = ['hide', 'unhide', 'lock', 'unlock', 'delete'];
+        if (!actions.includes(action)) {
+            return { success: false, message: 'Invalid action' };
+        }
+
+        if (!this.postIndex.has(postId)) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        this.commitAdmin({ op: `post.${action}`, postId }, note);
+
+        return { success: true };
+    }
+
+    // Pin a post globally or within its category, optionally until a time
+    pinPost(postId, { scope = 'global', until = null } = {}, note) {
+        if (!['global', 'category'].includes(scope)) {
+            return { success: false, message: 'Invalid pin scope' };
+        }
+
+        const post = this.postIndex.get(postId);
+        if (!post || this.isExpired(post)) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        const pin = { scope, until, pinnedAt: Date.now() };
+        this.commitAdmin({ op: 'post.pin', postId, pin }, note);
+
+        return { success: true, pin };
+    }
+
+    unpinPost(postId, note) {
+        const post = this.postIndex.get(postId);
+        if (!post) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        if (!post.pin) {
+            return { success: false, message: 'Post is not pinned' };
+        }
+
+        this.commitAdmin({ op: 'post.unpin', postId }, note);
+
+        return { success: true };
+    }
+
+    // Admin action on a comment: hide, unhide or delete
+    moderateComment(postId, commentId, action, note) {
+        const actions = ['hide', 'unhide', 'delete'];
+        if (!actions.includes(action)) {
+            return { success: false, message: 'Invalid action' };
+        }
+
+        const post = this.postIndex.get(postId);
+        if (!post) {
+            return { success: false, message: 'Post not found' };
+        }
+
+        if (!post.comments.some(c => c.id === commentId)) {
+            return { success: false, message: 'Comment not found' };
+        }
+
+        this.commitAdmin({ op: `comment.${action}`, postId, commentId }, note);
+
+        return { success: true };
+    }
+
+    // Mark a report as resolved or dismissed
+    resolveReport(reportId, status = 'resolved', note) {
+        if (!this.moderation.reports.has(reportId)) {
+            return { success: false, message: 'Report not found' };
+        }
+
+        this.commitAdmin({ op: 'report.resolve', reportId, status }, note);
+
+        return { success: true };
+    }
+
+    // Ban an IP hash from posting, commenting and liking
+    banIpHash(ipHash, duration, reason) {
+        const timestamp = Date.now();
         
-        return this.posts
-            .filter(post => {
-                if (post.expiresAt < now) return false;
-                
-                return post.title.toLowerCase().includes(searchTerm) ||
-                       post.content.toLowerCase().includes(searchTerm) ||
-                       post.tags.some(tag => tag.toLowerCase().includes(searchTerm));
-            })
-            .slice(0, limit)
-            .map(post => this.sanitizePost(post));
+        this.commitAdmin({ op: 'ban.create', ipHash, until: timestamp + duration, reason, timestamp }, reason);
+
+        return { success: true, ban: this.moderation.getBan(ipHash) };
+    }
+
+    unbanIpHash(ipHash) {
+        if (!this.moderation.bans.has(ipHash)) {
+            return { success: false, message: 'Ban not found' };
+        }
+
+        this.commitAdmin({ op: 'ban.remove', ipHash });
+
+        return { success: true };
+    }
+
+    getBan(ipHash) {
+        return this.moderation.getBan(ipHash);
+    }
+
+    // Active ban on any of a requester's IP hashes. A ban found under an older
+    // key is carried over to the current one so it outlives the key window.
+    findBan(ipHashes) {
+        const banned = ipHashes.find(hash => this.moderation.getBan(hash));
+        if (!banned) return null;
+
+        const ban = this.moderation.getBan(banned);
+        if (banned !== ipHashes[0]) {
+            this.commit({ op: 'ban.create', ipHash: ipHashes[0], until: ban.until, reason: ban.reason, timestamp: ban.createdAt });
+        }
+
+        return ban;
+    }
+
+    // Moderator's view of a post or comment, or null when it is gone
+    previewTarget(postId, commentId) {
+        const post = this.postIndex.get(postId);
+        const target = commentId
+            ? post && post.comments.find(c => c.id === commentId)
+            : post;
+
+        return target ? {
+            title: commentId ? null : target.title,
+            content: target.content,
+            anonId: target.anonId,
+            ipHash: target.ipHash,
+            hidden: Boolean(target.hidden),
+            locked: commentId ? undefined : Boolean(target.locked),
+            timestamp: target.timestamp
+        } : null;
+    }
+
+    // Moderation queue with a preview of each reported item
+    listReports({ status } = {}) {
+        return this.moderation.listReports({ status }).map(report => ({
+            ...report,
+            target: this.previewTarget(report.postId, report.commentId)
+        }));
+    }
+
+    // Clusters of near-duplicate recent posts and comments, largest first
+    listDuplicates(threshold) {
+        return this.similarity.clusters(threshold).map(items => ({
+            size: items.length,
+            categories: Array.from(new Set(items.map(item => item.category))),
+            items: items.map(({ key, postId, commentId, category, closest }) => ({
+                id: key,
+                postId,
+                commentId,
+                category,
+                closest: { id: closest.key, similarity: closest.similarity },
+                target: this.previewTarget(postId, commentId)
+            }))
+        }));
+    }
+
+    // Search posts using the inverted index
+    searchPosts(query, { category, tag, from, to, page = 1, limit = 20 } = {}) {
+        const results = this.searchIndex.search(query, { category, tag, from, to });
+
+        const total = results.length;
+        const totalPages = Math.ceil(total / limit);
+        const offset = (page - 1) * limit;
+
+        return {
+            posts: results.slice(offset, offset + limit).map(({ post, score }) => ({
+                ...this.sanitizePost(post),
+                match: {
+                    score: Math.round(score * 1000) / 1000,
+                    ...this.searchIndex.highlight(post, query)
+                }
+            })),
+            pagination: {
+                current: page,
+                total: totalPages,
+                hasNext: page < totalPages,
+                hasPrev: page > 1,
+                totalPosts: total
+            }
+        };
     }
 }
 
+DataStore.POST_TTLS = POST_TTLS;
+
 module.exports = DataStore;
\ No newline at end of file
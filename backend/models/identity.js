@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Keyed, rotating IP hashes.
+//
+// An IP is never stored; it is replaced by HMAC-SHA256(key, ip). Keys are
+// derived from IDENTITY_SECRET, one per rotation period (a day by default), so
+// every process sharing the secret agrees on them without coordination.
+// Hashes made with the current key and the `previousKeys` before it are
+// recognised, so likes, votes, reports and bans keep matching a client for
+// that window. After it, stored hashes no longer link to anyone who shows up.
+//
+// Without the secret, a leaked hash can't be brute-forced back to an IP.
+// With it, every key can be derived again, so treat it like a password.
+
+const HOUR = 60 * 60 * 1000;
+
+// Used outside production when IDENTITY_SECRET is unset; refused in production
+const DEV_SECRET = 'anonforum-dev-identity-secret';
+
+// Known public values that must never key production hashes
+const PUBLIC_SECRETS = new Set([DEV_SECRET, 'anonforum-salt-2024']);
+
+const MIN_SECRET_LENGTH = 32;
+
+class IdentityHasher {
+    constructor({ secret, rotationHours = 24, previousKeys = 7 } = {}) {
+        if (!secret) {
+            throw new Error('IdentityHasher requires a secret');
+        }
+        if (!(rotationHours > 0) || !(previousKeys >= 0)) {
+            throw new Error('Invalid identity key rotation settings');
+        }
+
+        this.secret = secret;
+        this.rotationMs = rotationHours * HOUR;
+        this.previousKeys = Math.floor(previousKeys);
+        this.keys = new Map(); // Epoch -> key, only for epochs in the window
+    }
+
+    // How long a hash keeps matching the client it was made from, at most
+    get retentionMs() {
+        return (this.previousKeys + 1) * this.rotationMs;
+    }
+
+    epoch(now = Date.now()) {
+        return Math.floor(now / this.rotationMs);
+    }
+
+    keyFor(epoch) {
+        if (!this.keys.has(epoch)) {
+            this.keys.set(epoch, crypto.createHmac('sha256', this.secret).update(`identity-key:${epoch}`).digest());
+
+            // Forget keys that left the window
+            for (const known of this.keys.keys()) {
+                if (known < epoch - this.previousKeys) this.keys.delete(known);
+            }
+        }
+
+        return this.keys.get(epoch);
+    }
+
+    // Hash of an IP under the current key
+    hash(ip, now = Date.now()) {
+        return crypto.createHmac('sha256', this.keyFor(this.epoch(now))).update(String(ip)).digest('hex');
+    }
+
+    // Hashes of an IP under every key in the window, current first
+    hashes(ip, now = Date.now()) {
+        const current = this.epoch(now);
+        const result = [];
+
+        for (let epoch = current; epoch >= current - this.previousKeys; epoch--) {
+            result.push(crypto.createHmac('sha256', this.keyFor(epoch)).update(String(ip)).digest('hex'));
+        }
+
+        return result;
+    }
+
+    // Middleware setting req.ipHashes for the requester
+    attach() {
+        return (req, res, next) => {
+            req.ipHashes = this.hashes(req.ip || req.socket.remoteAddress || '');
+            next();
+        };
+    }
+}
+
+// Create the hasher from IDENTITY_SECRET, IDENTITY_ROTATION_HOURS and
+// IDENTITY_PREVIOUS_KEYS. Production refuses to start without a real secret.
+const createIdentityHasher = (env = process.env) => {
+    const production = env.NODE_ENV === 'production';
+    let secret = env.IDENTITY_SECRET;
+
+    if (production && (!secret || PUBLIC_SECRETS.has(secret) || secret.length < MIN_SECRET_LENGTH)) {
+        throw new Error(`IDENTITY_SECRET must be set to a private value of at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+
+    if (!secret) {
+        console.warn('⚠️  IDENTITY_SECRET is not set; using the development secret for IP hashes');
+        secret = DEV_SECRET;
+    }
+
+    return new IdentityHasher({
+        secret,
+        rotationHours: parseFloat(env.IDENTITY_ROTATION_HOURS) || undefined,
+        previousKeys: env.IDENTITY_PREVIOUS_KEYS !== undefined ? parseInt(env.IDENTITY_PREVIOUS_KEYS) : undefined
+    });
+};
+
+module.exports = {
+    IdentityHasher,
+    createIdentityHasher
+};
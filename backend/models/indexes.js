@@ -0,0 +1,96 @@
+// Small data structures behind DataStore's indexes.
+
+// Binary min-heap of entries ordered by their `at` field
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(entry) {
+        const items = this.items;
+        items.push(entry);
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].at <= items[i].at) break;
+
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length === 0) return top;
+
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+
+            if (left < items.length && items[left].at < items[smallest].at) smallest = left;
+            if (right < items.length && items[right].at < items[smallest].at) smallest = right;
+            if (smallest === i) break;
+
+            [items[smallest], items[i]] = [items[i], items[smallest]];
+            i = smallest;
+        }
+
+        return top;
+    }
+
+    clear() {
+        this.items = [];
+    }
+}
+
+// Counts keyed events newer than a sliding cutoff (e.g. "posts today").
+// Removed keys leave stale heap entries behind; they are skipped when popped.
+class RecentCounter {
+    constructor() {
+        this.times = new Map(); // key -> time
+        this.heap = new MinHeap();
+    }
+
+    add(key, time) {
+        this.times.set(key, time);
+        this.heap.push({ at: time, key });
+    }
+
+    remove(key) {
+        this.times.delete(key);
+    }
+
+    // Number of keys added after `since`; `since` should only move forward
+    count(since) {
+        while (this.heap.size > 0 && this.heap.peek().at <= since) {
+            const { at, key } = this.heap.pop();
+            if (this.times.get(key) === at) this.times.delete(key);
+        }
+
+        return this.times.size;
+    }
+
+    clear() {
+        this.times.clear();
+        this.heap.clear();
+    }
+}
+
+module.exports = {
+    MinHeap,
+    RecentCounter
+};
@@ -0,0 +1,262 @@
+// Safe Markdown subset for posts and comments.
+//
+// Source text is parsed into a small AST (paragraphs, code blocks, quotes,
+// lists; bold, italics, inline code and links) and rendered to HTML through
+// an allowlist: every text node is escaped, only the tags below are emitted
+// and links must use http, https or mailto. Raw HTML in the source is never
+// passed through.
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const MAX_QUOTE_DEPTH = 3;
+const MAX_INLINE_DEPTH = 5;
+
+const FENCE = /^\s*```\s*([\w-]*)\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*\d{1,9}[.)]\s+(.*)$/;
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Accept only absolute links with an allowed protocol
+const safeHref = (url) => {
+    try {
+        const parsed = new URL(url);
+        return ALLOWED_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const isSpace = (char) => char === undefined || /\s/.test(char);
+const isWordChar = (char) => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+// Find a closing delimiter that is preceded by non-whitespace
+const findClosing = (text, delimiter, from) => {
+    let index = text.indexOf(delimiter, from);
+
+    while (index !== -1) {
+        const before = text[index - 1];
+        const after = text[index + delimiter.length];
+        const isDouble = delimiter.length === 1 && (after === delimiter || before === delimiter);
+
+        if (index > from && !isSpace(before) && !isDouble) {
+            // "_" must not close inside a word (snake_case)
+            if (delimiter !== '_' || !isWordChar(after)) return index;
+        }
+
+        index = text.indexOf(delimiter, index + 1);
+    }
+
+    return -1;
+};
+
+// Parse inline markup into nodes
+const parseInline = (text, depth = 0) => {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) nodes.push({ type: 'text', value: buffer });
+        buffer = '';
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        // Backslash escapes for markup characters
+        if (char === '\\' && /[\\`*_[\]()>#+\-.!]/.test(text[i + 1] || '')) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (char === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end > i + 1) {
+                flush();
+                nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (depth < MAX_INLINE_DEPTH && text.startsWith('**', i) && !isSpace(text[i + 2])) {
+            const end = findClosing(text, '**', i + 2);
+            if (end !== -1) {
+                flush();
+                nodes.push({ type: 'strong', children: parseInline(text.slice(i + 2, end), depth + 1) });
+                i = end + 2;
+                continue;
+            }
+        }
+
+        if (depth < MAX_INLINE_DEPTH && (char === '*' || char === '_') &&
+            text[i + 1] !== char && !isSpace(text[i + 1]) &&
+            (char === '*' || !isWordChar(text[i - 1]))) {
+            const end = findClosing(text, char, i + 1);
+            if (end !== -1) {
+                flush();
+                nodes.push({ type: 'em', children: parseInline(text.slice(i + 1, end), depth + 1) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (char === '[' && depth < MAX_INLINE_DEPTH) {
+            const match = /^\[([^\]\n]+)\]\(([^)\s]+)\)/.exec(text.slice(i));
+            const href = match && safeHref(match[2]);
+            if (href) {
+                flush();
+                nodes.push({ type: 'link', href, children: parseInline(match[1], depth + 1) });
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        if (char === '\n') {
+            flush();
+            nodes.push({ type: 'break' });
+            i++;
+            continue;
+        }
+
+        buffer += char;
+        i++;
+    }
+
+    flush();
+    return nodes;
+};
+
+// Parse block structure from lines
+const parseBlocks = (lines, depth = 0) => {
+    const blocks = [];
+    let i = 0;
+
+    // Past the depth limit, ">" is literal paragraph text
+    const quoteStarts = (line) => depth < MAX_QUOTE_DEPTH && QUOTE.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence (or run off the end)
+            blocks.push({ type: 'code_block', lang: fence[1] || null, value: code.join('\n') });
+            continue;
+        }
+
+        if (quoteStarts(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(QUOTE.exec(lines[i])[1]);
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted, depth + 1) });
+            continue;
+        }
+
+        const listPattern = BULLET.test(line) ? BULLET : ORDERED.test(line) ? ORDERED : null;
+        if (listPattern) {
+            const items = [];
+            while (i < lines.length && listPattern.test(lines[i])) {
+                items.push({ type: 'list_item', children: parseInline(listPattern.exec(lines[i])[1]) });
+                i++;
+            }
+            blocks.push({ type: 'list', ordered: listPattern === ORDERED, children: items });
+            continue;
+        }
+
+        // Paragraph: consecutive lines that don't start another block. The
+        // first line never does (the checks above took it otherwise), so
+        // every pass consumes at least one line.
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() &&
+            !FENCE.test(lines[i]) && !quoteStarts(lines[i]) &&
+            !(paragraph.length > 0 && (BULLET.test(lines[i]) || ORDERED.test(lines[i])))) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+
+    return blocks;
+};
+
+// Parse Markdown source into an AST
+const parse = (source) => ({
+    type: 'root',
+    children: parseBlocks(String(source || '').replace(/\r\n?/g, '\n').split('\n'))
+});
+
+// Render an AST node through the tag allowlist
+const renderNode = (node) => {
+    const children = () => (node.children || []).map(renderNode).join('');
+
+    switch (node.type) {
+        case 'root':
+            return children();
+        case 'paragraph':
+            return `<p>${children()}</p>`;
+        case 'code_block':
+            return `<pre><code>${escapeHtml(node.value)}</code></pre>`;
+        case 'blockquote':
+            return `<blockquote>${children()}</blockquote>`;
+        case 'list':
+            return node.ordered ? `<ol>${children()}</ol>` : `<ul>${children()}</ul>`;
+        case 'list_item':
+            return `<li>${children()}</li>`;
+        case 'strong':
+            return `<strong>${children()}</strong>`;
+        case 'em':
+            return `<em>${children()}</em>`;
+        case 'code':
+            return `<code>${escapeHtml(node.value)}</code>`;
+        case 'link':
+            return `<a href="${escapeHtml(node.href)}" rel="nofollow noopener noreferrer ugc" target="_blank">${children()}</a>`;
+        case 'break':
+            return '<br>';
+        case 'text':
+            return escapeHtml(node.value);
+        default:
+            // Unknown nodes are dropped rather than passed through
+            return '';
+    }
+};
+
+// Render plain text: escaped, with paragraphs and line breaks preserved
+const renderPlain = (source) => String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+
+// Render source in the given format ('markdown' or 'plain')
+const render = (source, format = 'markdown') =>
+    format === 'markdown' ? renderNode(parse(source)) : renderPlain(source);
+
+module.exports = {
+    parse,
+    render,
+    renderPlain,
+    escapeHtml,
+    FORMATS: ['markdown', 'plain']
+};
@@ -0,0 +1,160 @@
+// Moderation state: content reports, IP-hash bans and the admin audit trail.
+//
+// Moderation owns no posts; DataStore applies hide/lock/delete mutations and
+// forwards report, ban and audit entries here.
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'illegal', 'personal_info', 'nsfw', 'other'];
+
+// Reporter recorded for automatic flags; it is not a person, so it never
+// counts toward the distinct reporters that hide content
+const SYSTEM_REPORTER = 'system';
+
+class Moderation {
+    constructor({ autoHideThreshold = 5, maxAudit = 1000 } = {}) {
+        this.autoHideThreshold = autoHideThreshold;
+        this.maxAudit = maxAudit;
+        this.reports = new Map(); // report ID -> report
+        this.bans = new Map(); // IP hash -> { until, reason, createdAt }
+        this.audit = [];
+    }
+
+    // Reports are keyed by their target so repeat reports accumulate
+    reportId(postId, commentId) {
+        return commentId ? `comment:${commentId}` : `post:${postId}`;
+    }
+
+    hasReported(reportId, ipHash) {
+        const report = this.reports.get(reportId);
+        return Boolean(report && report.reporters.has(ipHash));
+    }
+
+    // Distinct people who reported an item
+    reporterCount(report) {
+        return report.reporters.size - (report.reporters.has(SYSTEM_REPORTER) ? 1 : 0);
+    }
+
+    // Record a report; returns the number of distinct people who reported it
+    addReport({ postId, commentId, reason, details, ipHash, timestamp }) {
+        const id = this.reportId(postId, commentId);
+
+        if (!this.reports.has(id)) {
+            this.reports.set(id, {
+                id,
+                targetType: commentId ? 'comment' : 'post',
+                postId,
+                commentId: commentId || null,
+                reasons: {},
+                details: [],
+                reporters: new Set(),
+                status: 'open',
+                firstReportedAt: timestamp,
+                lastReportedAt: timestamp
+            });
+        }
+
+        const report = this.reports.get(id);
+        report.reporters.add(ipHash);
+        report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+        report.lastReportedAt = timestamp;
+        report.status = 'open';
+
+        if (details) {
+            report.details = [...report.details, details].slice(-10);
+        }
+
+        return this.reporterCount(report);
+    }
+
+    resolveReport(id, status) {
+        const report = this.reports.get(id);
+        if (report) report.status = status;
+    }
+
+    // Reports without reporter identities, newest first
+    listReports({ status } = {}) {
+        return Array.from(this.reports.values())
+            .filter(report => !status || report.status === status)
+            .sort((a, b) => b.lastReportedAt - a.lastReportedAt)
+            .map(({ reporters, ...report }) => ({
+                ...report,
+                reporterCount: this.reporterCount({ reporters }),
+                flaggedBySystem: reporters.has(SYSTEM_REPORTER)
+            }));
+    }
+
+    ban({ ipHash, until, reason, timestamp }) {
+        this.bans.set(ipHash, { until, reason: reason || null, createdAt: timestamp });
+    }
+
+    unban(ipHash) {
+        this.bans.delete(ipHash);
+    }
+
+    // Active ban for an IP hash, if any
+    getBan(ipHash, now = Date.now()) {
+        const ban = this.bans.get(ipHash);
+        return ban && ban.until > now ? ban : null;
+    }
+
+    listBans(now = Date.now()) {
+        return Array.from(this.bans, ([ipHash, ban]) => ({ ipHash, ...ban }))
+            .filter(ban => ban.until > now);
+    }
+
+    // Append an admin or system action to the audit trail
+    recordAudit({ seq, op, postId, commentId, ipHash, audit }) {
+        this.audit.push({
+            seq,
+            action: op,
+            target: { postId: postId || null, commentId: commentId || null, ipHash: ipHash || null },
+            actor: audit.actor,
+            note: audit.note || null,
+            timestamp: audit.timestamp
+        });
+
+        if (this.audit.length > this.maxAudit) {
+            this.audit = this.audit.slice(-this.maxAudit);
+        }
+    }
+
+    listAudit(limit = 100) {
+        return this.audit.slice(-limit).reverse();
+    }
+
+    // Drop expired bans and reports whose post no longer exists
+    prune(validPostIds, now = Date.now()) {
+        for (const [ipHash, ban] of this.bans) {
+            if (ban.until <= now) this.bans.delete(ipHash);
+        }
+
+        for (const [id, report] of this.reports) {
+            if (!validPostIds.has(report.postId)) this.reports.delete(id);
+        }
+    }
+
+    serialize() {
+        return {
+            reports: Array.from(this.reports.values(), report => ({
+                ...report,
+                reporters: Array.from(report.reporters)
+            })),
+            bans: Array.from(this.bans),
+            audit: this.audit
+        };
+    }
+
+    restore(state = {}) {
+        this.reports = new Map((state.reports || []).map(report => [
+            report.id,
+            { ...report, reporters: new Set(report.reporters) }
+        ]));
+        this.bans = new Map(state.bans || []);
+        this.audit = state.audit || [];
+    }
+}
+
+module.exports = {
+    Moderation,
+    REPORT_REASONS,
+    SYSTEM_REPORTER
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Online presence from client heartbeats.
+//
+// Clients send a random, per-tab session ID; only its hash is kept, in memory,
+// together with what the session is currently looking at. Nothing is tied to
+// an IP address and nothing is persisted.
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+class PresenceTracker {
+    constructor({ windowMs = 60 * 1000, maxSessions = 50000, cacheMs = 5000, demo = false } = {}) {
+        this.windowMs = windowMs;
+        this.maxSessions = maxSessions;
+        this.cacheMs = cacheMs;
+        this.demo = demo;
+        this.sessions = new Map(); // session hash -> { lastSeen, category, postId }
+        this.counts = null;
+        this.countedAt = 0;
+    }
+
+    isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    hashSession(sessionId) {
+        return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 32);
+    }
+
+    // Record a heartbeat; returns false when the tracker is full
+    heartbeat(sessionId, { category = null, postId = null } = {}, now = Date.now()) {
+        const key = this.hashSession(sessionId);
+
+        if (!this.sessions.has(key)) {
+            if (this.sessions.size >= this.maxSessions) {
+                this.prune(now);
+                if (this.sessions.size >= this.maxSessions) return false;
+            }
+
+            // New sessions should show up immediately
+            this.counts = null;
+        }
+
+        this.sessions.set(key, { lastSeen: now, category, postId });
+        return true;
+    }
+
+    // Remove sessions that have not sent a heartbeat within the window
+    prune(now = Date.now()) {
+        const cutoff = now - this.windowMs;
+
+        for (const [key, session] of this.sessions) {
+            if (session.lastSeen < cutoff) this.sessions.delete(key);
+        }
+    }
+
+    // Count active sessions overall, per category and per post (cached briefly)
+    getCounts(now = Date.now()) {
+        if (this.counts && now - this.countedAt < this.cacheMs) {
+            return this.counts;
+        }
+
+        this.prune(now);
+
+        const counts = { total: this.sessions.size, categories: {}, posts: {} };
+        for (const { category, postId } of this.sessions.values()) {
+            if (category) counts.categories[category] = (counts.categories[category] || 0) + 1;
+            if (postId) counts.posts[postId] = (counts.posts[postId] || 0) + 1;
+        }
+
+        this.counts = counts;
+        this.countedAt = now;
+        return counts;
+    }
+
+    // Online summary, optionally scoped to a category or a thread
+    getOnline({ category, postId } = {}, now = Date.now()) {
+        const counts = this.getCounts(now);
+        const result = { online: counts.total };
+
+        if (category) result.category = counts.categories[category] || 0;
+        if (postId) result.viewing = counts.posts[postId] || 0;
+
+        // Demo mode pads the total with a simulated baseline
+        if (this.demo) {
+            const baseCount = 20;
+            const variance = Math.floor(Math.random() * 50);
+            const timeBonus = Math.floor(Math.sin(now / 600000) * 15);
+            result.online = Math.max(result.online, baseCount + variance + timeBonus);
+            result.demo = true;
+        }
+
+        return result;
+    }
+}
+
+module.exports = {
+    PresenceTracker
+};
@@ -0,0 +1,99 @@
+// Time-decayed ranking for the "hot" and "rising" sorts.
+//
+// Scores are cached per post and only recomputed for every post once per
+// refresh interval; likes and comments rescore just the affected post.
+
+const HOUR = 60 * 60 * 1000;
+
+class Ranker {
+    constructor({
+        gravity = 1.5, // Age decay exponent for "hot"
+        risingGravity = 2, // Steeper decay so "rising" favours young posts
+        commentWeight = 2, // A comment counts as much as two likes
+        velocityWeight = 3, // Bonus per comment inside the velocity window
+        velocityWindow = 6 * HOUR,
+        risingMaxAge = 24 * HOUR, // Older posts never rise
+        refreshMs = 60 * 1000
+    } = {}) {
+        this.options = {
+            gravity,
+            risingGravity,
+            commentWeight,
+            velocityWeight,
+            velocityWindow,
+            risingMaxAge,
+            refreshMs
+        };
+        this.scores = new Map(); // postId -> { hot, rising }
+        this.computedAt = 0;
+    }
+
+    // Count comments newer than the velocity window (comments are chronological)
+    recentComments(post, now) {
+        const since = now - this.options.velocityWindow;
+        let count = 0;
+
+        for (let i = post.comments.length - 1; i >= 0; i--) {
+            if (post.comments[i].timestamp < since) break;
+            count++;
+        }
+
+        return count;
+    }
+
+    // Compute both scores for a post at a reference time
+    score(post, now) {
+        const { gravity, risingGravity, commentWeight, velocityWeight, risingMaxAge } = this.options;
+        const age = Math.max(0, now - post.timestamp);
+        const ageHours = age / HOUR;
+        const velocity = this.recentComments(post, now);
+
+        const engagement = post.likes + commentWeight * post.comments.length + velocityWeight * velocity;
+        const hot = engagement / Math.pow(ageHours + 2, gravity);
+
+        const rising = age > risingMaxAge
+            ? 0
+            : (post.likes + velocityWeight * velocity) / Math.pow(ageHours + 2, risingGravity);
+
+        return { hot, rising };
+    }
+
+    // Rescore a single post after it changed
+    update(post) {
+        if (!this.computedAt) {
+            this.computedAt = Date.now();
+        }
+        this.scores.set(post.id, this.score(post, this.computedAt));
+    }
+
+    remove(postId) {
+        this.scores.delete(postId);
+    }
+
+    clear() {
+        this.scores.clear();
+        this.computedAt = 0;
+    }
+
+    // Whether the cached scores are older than the refresh interval
+    isStale(now = Date.now()) {
+        return now - this.computedAt >= this.options.refreshMs;
+    }
+
+    // Rescore every post
+    refresh(posts, now = Date.now()) {
+        this.computedAt = now;
+        this.scores.clear();
+        posts.forEach(post => this.scores.set(post.id, this.score(post, now)));
+    }
+
+    // Get a cached score for a sort mode
+    get(postId, mode) {
+        const scores = this.scores.get(postId);
+        return scores ? scores[mode] : 0;
+    }
+}
+
+module.exports = {
+    Ranker
+};
@@ -0,0 +1,196 @@
+// Full-text search index for posts.
+//
+// Text is folded before indexing and querying so Vietnamese content matches
+// queries typed without diacritics ("đ" -> "d", tones stripped).
+
+// Field weights used when scoring matches
+const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    content: 1
+};
+
+const SNIPPET_LENGTH = 160;
+const RECENCY_HALF_LIFE = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+// Fold a single character: strip combining marks and map "đ" to "d"
+const foldChar = (char) => {
+    if (char === 'đ' || char === 'Đ') return 'd';
+    return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+// Fold text, keeping a map from folded offsets back to original offsets
+const foldWithOffsets = (text) => {
+    let folded = '';
+    const offsets = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const char = foldChar(text[i]);
+        for (let j = 0; j < char.length; j++) {
+            folded += char[j];
+            offsets.push(i);
+        }
+    }
+    offsets.push(text.length);
+
+    return { folded, offsets };
+};
+
+// Fold text for comparison
+const fold = (text) => foldWithOffsets(String(text || '')).folded;
+
+// Split text into tokens with their original positions
+const tokenize = (text) => {
+    const { folded, offsets } = foldWithOffsets(String(text || ''));
+    const tokens = [];
+    const pattern = /[a-z0-9]+/g;
+    let match;
+
+    while ((match = pattern.exec(folded)) !== null) {
+        tokens.push({
+            term: match[0],
+            start: offsets[match.index],
+            end: offsets[match.index + match[0].length]
+        });
+    }
+
+    return tokens;
+};
+
+class SearchIndex {
+    // isExpired lets the owner decide liveness (pinned posts outlive expiresAt)
+    constructor({ isExpired = (post, now) => post.expiresAt < now } = {}) {
+        this.isExpired = isExpired;
+        this.terms = new Map(); // term -> Map(postId -> weight)
+        this.docs = new Map(); // postId -> { post, terms }
+    }
+
+    // Index (or re-index) a post
+    add(post) {
+        this.remove(post.id);
+
+        const weights = new Map();
+        const addField = (text, weight) => {
+            tokenize(text).forEach(({ term }) => {
+                weights.set(term, (weights.get(term) || 0) + weight);
+            });
+        };
+
+        addField(post.title, FIELD_WEIGHTS.title);
+        addField((post.tags || []).join(' '), FIELD_WEIGHTS.tags);
+        addField(post.content, FIELD_WEIGHTS.content);
+
+        for (const [term, weight] of weights) {
+            if (!this.terms.has(term)) {
+                this.terms.set(term, new Map());
+            }
+            this.terms.get(term).set(post.id, weight);
+        }
+
+        this.docs.set(post.id, { post, terms: Array.from(weights.keys()) });
+    }
+
+    // Drop a post from the index
+    remove(postId) {
+        const doc = this.docs.get(postId);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const postings = this.terms.get(term);
+            if (!postings) return;
+
+            postings.delete(postId);
+            if (postings.size === 0) {
+                this.terms.delete(term);
+            }
+        });
+
+        this.docs.delete(postId);
+    }
+
+    // Rebuild from scratch
+    rebuild(posts) {
+        this.terms.clear();
+        this.docs.clear();
+        posts.forEach(post => this.add(post));
+    }
+
+    // Find posts containing every query term, ranked by relevance and recency
+    search(query, { category, tag, from, to, now = Date.now() } = {}) {
+        const queryTerms = Array.from(new Set(tokenize(query).map(token => token.term)));
+        if (queryTerms.length === 0) return [];
+
+        // Start from the rarest term to keep the candidate set small
+        const postings = queryTerms.map(term => this.terms.get(term) || new Map());
+        postings.sort((a, b) => a.size - b.size);
+
+        const foldedTag = tag ? fold(tag) : null;
+        const results = [];
+
+        for (const [postId] of postings[0]) {
+            if (!postings.every(list => list.has(postId))) continue;
+
+            const { post } = this.docs.get(postId);
+
+            if (this.isExpired(post, now) || post.hidden) continue;
+            if (category && post.category !== category) continue;
+            if (foldedTag && !post.tags.some(t => fold(t) === foldedTag)) continue;
+            if (from && post.timestamp < from) continue;
+            if (to && post.timestamp > to) continue;
+
+            let relevance = 0;
+            postings.forEach(list => {
+                const idf = Math.log(1 + this.docs.size / list.size);
+                relevance += list.get(postId) * idf;
+            });
+
+            const recency = Math.pow(0.5, (now - post.timestamp) / RECENCY_HALF_LIFE);
+
+            results.push({
+                post,
+                score: relevance * (0.5 + 0.5 * recency)
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score || b.post.timestamp - a.post.timestamp);
+
+        return results;
+    }
+
+    // Locate query terms in the title and build a content snippet around the first match
+    highlight(post, query) {
+        const terms = new Set(tokenize(query).map(token => token.term));
+        const findRanges = (text) => tokenize(text)
+            .filter(token => terms.has(token.term))
+            .map(token => [token.start, token.end]);
+
+        const title = findRanges(post.title);
+        const contentRanges = findRanges(post.content);
+
+        let start = 0;
+        if (contentRanges.length > 0) {
+            start = Math.max(0, contentRanges[0][0] - Math.floor(SNIPPET_LENGTH / 4));
+        }
+        const end = Math.min(post.content.length, start + SNIPPET_LENGTH);
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < post.content.length ? '…' : '';
+        const shift = prefix.length - start;
+
+        return {
+            title,
+            snippet: {
+                text: prefix + post.content.slice(start, end) + suffix,
+                highlights: contentRanges
+                    .filter(([s, e]) => s >= start && e <= end)
+                    .map(([s, e]) => [s + shift, e + shift])
+            }
+        };
+    }
+}
+
+module.exports = {
+    SearchIndex,
+    fold,
+    tokenize
+};
@@ -0,0 +1,247 @@
+const { fold } = require('./search');
+
+// Near-duplicate detection over recent posts and comments.
+//
+// Text is folded (see search.js), reduced to letters and digits, and cut into
+// overlapping character shingles. A MinHash signature of the shingle set
+// estimates the Jaccard similarity of two texts: the share of signature
+// positions where they agree. Signatures are split into bands for
+// locality-sensitive lookup, so a query only compares against entries that
+// share at least one band instead of the whole window.
+//
+// Only signatures are kept, never text, and only for `windowMs`.
+
+const SHINGLE_LENGTH = 5;
+const BANDS = 16;
+const ROWS = 4; // Per band; BANDS * ROWS hashes per signature
+const HASHES = BANDS * ROWS;
+
+// Fixed seeds so signatures are comparable across processes
+const SEEDS = (() => {
+    const seeds = new Uint32Array(HASHES);
+    let state = 0x9e3779b9;
+    for (let i = 0; i < HASHES; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        seeds[i] = state;
+    }
+    return seeds;
+})();
+
+// FNV-1a over a string's UTF-16 units
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// murmur3 finalizer: spreads a 32-bit value over all bits
+const mix = (value) => {
+    let hash = value;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+};
+
+// Folded letters and digits, single-spaced
+const normalize = (text) => (fold(text).match(/[a-z0-9]+/g) || []).join(' ');
+
+const shingles = (normalized) => {
+    const result = new Set();
+    for (let i = 0; i + SHINGLE_LENGTH <= normalized.length; i++) {
+        result.add(normalized.slice(i, i + SHINGLE_LENGTH));
+    }
+    return result;
+};
+
+class SimilarityIndex {
+    constructor({ windowMs = 24 * 60 * 60 * 1000, maxEntries = 5000, minLength = 30 } = {}) {
+        this.windowMs = windowMs;
+        this.maxEntries = maxEntries;
+        this.minLength = minLength; // Shorter texts ("thanks!", "+1") are never compared
+        this.entries = new Map(); // key -> { key, signature, at, ...meta }, oldest first
+        this.bands = new Map(); // band key -> Set of entry keys
+    }
+
+    // MinHash signature of a text, or null when it is too short to judge
+    signature(text) {
+        const normalized = normalize(text);
+        if (normalized.length < this.minLength) return null;
+
+        const signature = new Uint32Array(HASHES).fill(0xffffffff);
+        for (const shingle of shingles(normalized)) {
+            const base = hashString(shingle);
+            for (let i = 0; i < HASHES; i++) {
+                const value = mix(base ^ SEEDS[i]);
+                if (value < signature[i]) signature[i] = value;
+            }
+        }
+
+        return signature;
+    }
+
+    bandKeys(signature) {
+        const keys = [];
+        for (let band = 0; band < BANDS; band++) {
+            keys.push(`${band}:${signature.subarray(band * ROWS, (band + 1) * ROWS).join(',')}`);
+        }
+        return keys;
+    }
+
+    // Estimated Jaccard similarity of two signatures
+    static similarity(a, b) {
+        let same = 0;
+        for (let i = 0; i < HASHES; i++) {
+            if (a[i] === b[i]) same++;
+        }
+        return same / HASHES;
+    }
+
+    // Index a text under `key`; `meta` is returned with matches. Replaces any
+    // earlier entry under the same key.
+    add(key, text, meta = {}, at = Date.now()) {
+        this.remove(key);
+        this.prune(at);
+        if (at < Date.now() - this.windowMs) return;
+
+        const signature = this.signature(text);
+        if (!signature) return;
+
+        const entry = { ...meta, key, signature, at };
+        this.entries.set(key, entry);
+        this.bandKeys(signature).forEach(band => {
+            if (!this.bands.has(band)) {
+                this.bands.set(band, new Set());
+            }
+            this.bands.get(band).add(key);
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.bandKeys(entry.signature).forEach(band => {
+            const keys = this.bands.get(band);
+            keys.delete(key);
+            if (keys.size === 0) this.bands.delete(band);
+        });
+    }
+
+    // Drop entries that left the window. Entries are roughly in time order;
+    // stragglers are skipped by candidates() until they reach the front.
+    prune(now = Date.now()) {
+        const cutoff = now - this.windowMs;
+        for (const entry of this.entries.values()) {
+            if (entry.at >= cutoff) break;
+            this.remove(entry.key);
+        }
+    }
+
+    // Entries in the window sharing a band with a signature
+    candidates(signature, now = Date.now()) {
+        const cutoff = now - this.windowMs;
+        const keys = new Set();
+        this.bandKeys(signature).forEach(band => {
+            (this.bands.get(band) || []).forEach(key => {
+                if (this.entries.get(key).at >= cutoff) keys.add(key);
+            });
+        });
+        return keys;
+    }
+
+    // The most similar recent entry at or above `threshold`, as
+    // { ...meta, key, similarity }, or null. `exclude` skips one key (the
+    // text's own entry when it is being edited).
+    nearest(text, threshold, { exclude = null, now = Date.now() } = {}) {
+        this.prune(now);
+
+        const signature = this.signature(text);
+        if (!signature) return null;
+
+        let best = null;
+        for (const key of this.candidates(signature, now)) {
+            if (key === exclude) continue;
+
+            const { signature: other, ...entry } = this.entries.get(key);
+            const similarity = SimilarityIndex.similarity(signature, other);
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { ...entry, similarity };
+            }
+        }
+
+        return best;
+    }
+
+    // Groups of entries linked by pairs at or above `threshold`, largest
+    // first. Each entry lists its closest match within the group.
+    clusters(threshold, now = Date.now()) {
+        this.prune(now);
+
+        const parent = new Map();
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+
+        const closest = new Map(); // key -> { key, similarity }
+        const link = (a, b, similarity) => {
+            if (!closest.has(a) || closest.get(a).similarity < similarity) {
+                closest.set(a, { key: b, similarity });
+            }
+        };
+
+        const cutoff = now - this.windowMs;
+        for (const [key, entry] of this.entries) {
+            if (entry.at < cutoff) continue;
+            if (!parent.has(key)) parent.set(key, key);
+
+            for (const other of this.candidates(entry.signature, now)) {
+                if (other <= key) continue;
+
+                const similarity = SimilarityIndex.similarity(entry.signature, this.entries.get(other).signature);
+                if (similarity < threshold) continue;
+
+                if (!parent.has(other)) parent.set(other, other);
+                parent.set(find(key), find(other));
+                link(key, other, similarity);
+                link(other, key, similarity);
+            }
+        }
+
+        const groups = new Map();
+        for (const key of closest.keys()) {
+            const root = find(key);
+            if (!groups.has(root)) groups.set(root, []);
+
+            const { signature, ...entry } = this.entries.get(key);
+            groups.get(root).push({ ...entry, closest: closest.get(key) });
+        }
+
+        return Array.from(groups.values())
+            .map(items => items.sort((a, b) => a.at - b.at))
+            .sort((a, b) => b.length - a.length || b[b.length - 1].at - a[a.length - 1].at);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bands.clear();
+    }
+}
+
+module.exports = {
+    SimilarityIndex
+};
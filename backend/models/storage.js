@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapters for DataStore.
+//
+// Every adapter implements the same interface:
+//   load()          -> { snapshot, entries } to replay on boot
+//   append(entry)   -> record one mutation
+//   shouldSnapshot()-> true when the log has grown enough to compact
+//   compact(state)  -> write a full snapshot and truncate the log
+//   flush()         -> persist anything still buffered
+//   close()         -> flush and release timers/handles
+//   describe()      -> short human-readable description for logs
+
+// In-memory storage (restart will clear data)
+class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+    }
+
+    load() {
+        return { snapshot: null, entries: [] };
+    }
+
+    append() {}
+
+    shouldSnapshot() {
+        return false;
+    }
+
+    compact() {}
+
+    flush() {}
+
+    close() {}
+
+    describe() {
+        return 'In-memory (restart will clear data)';
+    }
+}
+
+// File storage: append-only NDJSON log plus periodic snapshots
+class FileStorage {
+    constructor({ dir, flushInterval = 1000, snapshotEvery = 1000 } = {}) {
+        if (!dir) {
+            throw new Error('FileStorage requires a data directory');
+        }
+
+        this.name = 'file';
+        this.dir = dir;
+        this.snapshotPath = path.join(dir, 'snapshot.json');
+        this.logPath = path.join(dir, 'log.ndjson');
+        this.snapshotEvery = snapshotEvery;
+        this.buffer = [];
+        this.entriesSinceSnapshot = 0;
+
+        fs.mkdirSync(dir, { recursive: true });
+
+        // Flush buffered log entries in the background
+        this.timer = setInterval(() => {
+            try {
+                this.flush();
+            } catch (error) {
+                console.error('Storage flush error:', error);
+            }
+        }, flushInterval);
+        this.timer.unref();
+    }
+
+    // Read the latest snapshot and every log entry written after it
+    load() {
+        let snapshot = null;
+        const entries = [];
+
+        if (fs.existsSync(this.snapshotPath)) {
+            snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        }
+
+        if (fs.existsSync(this.logPath)) {
+            const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+
+            lines.forEach((line, index) => {
+                if (!line.trim()) return;
+
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    // A torn final line is expected after a crash mid-write
+                    console.warn(`⚠️ Skipping corrupt log entry at line ${index + 1}`);
+                }
+            });
+        }
+
+        this.entriesSinceSnapshot = entries.length;
+
+        return { snapshot, entries };
+    }
+
+    append(entry) {
+        this.buffer.push(JSON.stringify(entry));
+        this.entriesSinceSnapshot++;
+    }
+
+    shouldSnapshot() {
+        return this.entriesSinceSnapshot >= this.snapshotEvery;
+    }
+
+    // Replace the log with a snapshot of the full state
+    compact(state) {
+        const tmpPath = `${this.snapshotPath}.tmp`;
+
+        // Buffered entries are already reflected in the state
+        this.buffer = [];
+
+        fs.writeFileSync(tmpPath, JSON.stringify(state));
+        fs.renameSync(tmpPath, this.snapshotPath);
+
+        // Entries older than the snapshot are skipped on replay by seq,
+        // so a crash between rename and truncate is harmless
+        fs.writeFileSync(this.logPath, '');
+        this.entriesSinceSnapshot = 0;
+    }
+
+    flush() {
+        if (this.buffer.length === 0) return;
+
+        const lines = this.buffer.join('\n') + '\n';
+        this.buffer = [];
+        fs.appendFileSync(this.logPath, lines);
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.flush();
+    }
+
+    describe() {
+        return `File (${this.dir})`;
+    }
+}
+
+// Build a storage adapter from environment configuration
+const createStorage = (env = process.env) => {
+    const driver = (env.STORAGE || 'memory').toLowerCase();
+
+    switch (driver) {
+        case 'file':
+            return new FileStorage({
+                dir: env.DATA_DIR || path.join(__dirname, '..', 'data'),
+                flushInterval: parseInt(env.STORAGE_FLUSH_MS) || 1000,
+                snapshotEvery: parseInt(env.STORAGE_SNAPSHOT_EVERY) || 1000
+            });
+        case 'memory':
+            return new MemoryStorage();
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+};
+
+module.exports = {
+    MemoryStorage,
+    FileStorage,
+    createStorage
+};
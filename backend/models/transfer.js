@@ -0,0 +1,336 @@
+// Export and import of forum data as NDJSON.
+//
+// A dump is one JSON record per line:
+//   { type: 'header', format, version, exportedAt, includesIpHash }
+//   { type: 'post', post }                  (without its comments)
+//   { type: 'comment', postId, comment }
+//   { type: 'likes', ipHash, postIds }      (only when IP hashes are kept)
+//   { type: 'votes', ipHash, votes }        (only when IP hashes are kept)
+//   { type: 'footer', counts }
+// The footer lets an import detect a truncated file. Records are written one
+// at a time, so a dump can be streamed in either direction.
+//
+// Version 0 holds posts in DataStore's in-memory shape: each post record
+// carries its comments inline and there are no comment records. It is what
+// writing out `dataStore.posts` line by line gives, and is migrated to
+// version 1 on import.
+
+const EXPORT_FORMAT = 'anonforum-export';
+const EXPORT_VERSION = 1;
+const COLLISION_MODES = ['skip', 'rename'];
+
+// Upgrades from one format version to the next, keyed by the older version:
+// MIGRATIONS[n](record) returns the records version n + 1 would write in its
+// place (usually just one). Add an entry whenever EXPORT_VERSION is bumped.
+const MIGRATIONS = {
+    // Split inline comments out into comment records
+    0: (record) => {
+        if (record.type !== 'post' || !record.post) return [record];
+
+        const { comments = [], ...post } = record.post;
+        return [
+            { type: 'post', post },
+            ...comments.map(comment => ({ type: 'comment', postId: post.id, comment }))
+        ];
+    }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// What is wrong with an exported post, or null. Optional fields are filled in
+// by upgradePost, but must have the right type when present.
+const postProblem = (post, categories) => {
+    if (!isObject(post)) return 'invalid post';
+    if (typeof post.id !== 'string' || !post.id) return 'post id must be a non-empty string';
+    if (typeof post.title !== 'string' || typeof post.content !== 'string') return 'post title and content must be strings';
+    if (!isNumber(post.timestamp) || !isNumber(post.expiresAt)) return 'post timestamp and expiresAt must be numbers';
+    if (typeof post.category !== 'string' || (categories && !categories.has(post.category))) {
+        return `unknown category ${JSON.stringify(post.category)}`;
+    }
+    if (post.likes !== undefined && !isCount(post.likes)) return 'post likes must be a non-negative integer';
+    if (post.tags !== undefined && !isStringArray(post.tags)) return 'post tags must be an array of strings';
+    if (post.ttl !== undefined && !isNumber(post.ttl)) return 'post ttl must be a number';
+    if (post.type !== undefined && !['text', 'poll'].includes(post.type)) return 'post type must be text or poll';
+    if (post.type === 'poll' && !(isObject(post.poll) && Array.isArray(post.poll.options))) return 'poll post without poll options';
+    if (post.burnAfterViews && !(isCount(post.burnAfterViews) && (post.views === undefined || isCount(post.views)))) {
+        return 'post burnAfterViews and views must be non-negative integers';
+    }
+    if (post.viewers !== undefined && !isStringArray(post.viewers)) return 'post viewers must be an array of strings';
+    return null;
+};
+
+const commentProblem = (comment) => {
+    if (!isObject(comment)) return 'invalid comment';
+    if (typeof comment.id !== 'string' || !comment.id) return 'comment id must be a non-empty string';
+    if (typeof comment.content !== 'string') return 'comment content must be a string';
+    if (!isNumber(comment.timestamp)) return 'comment timestamp must be a number';
+    if (comment.parentId !== undefined && comment.parentId !== null && typeof comment.parentId !== 'string') {
+        return 'comment parentId must be a string or null';
+    }
+    return null;
+};
+
+// Fill in fields that posts written by older builds don't have
+const upgradePost = (post) => ({
+    type: 'text',
+    format: 'plain',
+    tags: [],
+    likes: 0,
+    ttl: post.expiresAt - post.timestamp,
+    extendOnActivity: false,
+    ...(post.burnAfterViews ? { views: 0, viewers: [] } : {}),
+    ...post,
+    comments: []
+});
+
+const upgradeComment = (comment) => ({
+    format: 'plain',
+    parentId: null,
+    isOP: false,
+    ...comment
+});
+
+// Give a renamed post's comments new IDs as well, keeping replies attached
+// to their parents
+const renameComments = (dataStore, post) => {
+    const ids = new Map(post.comments.map(comment => [comment.id, dataStore.generateId()]));
+
+    post.comments = post.comments.map(comment => ({
+        ...comment,
+        id: ids.get(comment.id),
+        parentId: comment.parentId ? ids.get(comment.parentId) || null : null
+    }));
+};
+
+// Yield export records for every live post. Unless includeIpHash is set, the
+// fields the API never shows are stripped: IP hashes, viewer hashes, author
+// token hashes and edit histories (and the like and vote sets keyed by IP hash)
+function* exportRecords(dataStore, { includeIpHash = false, now = Date.now() } = {}) {
+    const posts = dataStore.posts.filter(post => !dataStore.isExpired(post, now));
+    const postIds = new Set(posts.map(post => post.id));
+    const counts = { posts: 0, comments: 0, likes: 0, votes: 0 };
+    const strip = (item) => {
+        if (includeIpHash) return item;
+
+        const { ipHash, viewers, authorTokenHash, editHistory, ...rest } = item;
+        return rest;
+    };
+
+    yield {
+        type: 'header',
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date(now).toISOString(),
+        includesIpHash: includeIpHash
+    };
+
+    for (const { comments, ...post } of posts) {
+        yield { type: 'post', post: strip(post) };
+        counts.posts++;
+
+        for (const comment of comments) {
+            yield { type: 'comment', postId: post.id, comment: strip(comment) };
+            counts.comments++;
+        }
+    }
+
+    if (includeIpHash) {
+        for (const [ipHash, liked] of dataStore.likedPosts) {
+            const ids = Array.from(liked).filter(id => postIds.has(id));
+            if (ids.length === 0) continue;
+
+            yield { type: 'likes', ipHash, postIds: ids };
+            counts.likes++;
+        }
+
+        for (const [ipHash, votes] of dataStore.pollVotes) {
+            const entries = Array.from(votes).filter(([id]) => postIds.has(id));
+            if (entries.length === 0) continue;
+
+            yield { type: 'votes', ipHash, votes: entries };
+            counts.votes++;
+        }
+    }
+
+    yield { type: 'footer', counts };
+}
+
+// Parse and migrate a dump; throws with a message naming the bad line
+const readDump = async (lines) => {
+    const records = [];
+    let header = null;
+    let footer = null;
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Line ${lineNumber}: invalid JSON`);
+        }
+
+        if (!header) {
+            if (record.type !== 'header' || record.format !== EXPORT_FORMAT ||
+                !Number.isInteger(record.version) || record.version < 0) {
+                throw new Error('Not an AnonForum export');
+            }
+            if (record.version > EXPORT_VERSION) {
+                throw new Error(`Unsupported export version ${record.version}`);
+            }
+            header = record;
+            continue;
+        }
+
+        if (footer) {
+            throw new Error(`Line ${lineNumber}: data after footer`);
+        }
+
+        let migrated = [record];
+        for (let version = header.version; version < EXPORT_VERSION; version++) {
+            migrated = migrated.flatMap(MIGRATIONS[version]);
+        }
+
+        for (const current of migrated) {
+            if (current.type === 'footer') {
+                footer = current;
+            } else {
+                records.push({ lineNumber, record: current });
+            }
+        }
+    }
+
+    if (!header) {
+        throw new Error('Export is empty');
+    }
+    if (!footer) {
+        throw new Error('Export is truncated (no footer)');
+    }
+
+    return { header, records, footer };
+};
+
+// Import a dump (an iterable or async iterable of lines). Nothing is
+// committed unless the whole dump parses and every post and comment is valid;
+// with a category registry, posts must be in a known category. Posts whose
+// ID is already taken are skipped, or given a new ID (and their comments new
+// IDs) with onCollision: 'rename'.
+const importRecords = async (dataStore, lines, { onCollision = 'skip', categories = null, now = Date.now() } = {}) => {
+    if (!COLLISION_MODES.includes(onCollision)) {
+        return { success: false, message: 'Invalid collision mode' };
+    }
+
+    let dump;
+    try {
+        dump = await readDump(lines);
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+
+    const posts = new Map(); // exported ID -> post
+    const existingIds = new Set(dataStore.postIndex.keys());
+    const idMap = new Map(); // exported ID -> ID in this store
+    const summary = { posts: 0, comments: 0, likes: 0, votes: 0, skipped: 0, renamed: 0, expired: 0 };
+
+    for (const { lineNumber, record } of dump.records) {
+        switch (record.type) {
+            case 'post': {
+                const problem = postProblem(record.post, categories);
+                if (problem) {
+                    return { success: false, message: `Line ${lineNumber}: ${problem}` };
+                }
+                posts.set(record.post.id, upgradePost(record.post));
+                break;
+            }
+            case 'comment': {
+                const post = posts.get(record.postId);
+                if (!post) {
+                    return { success: false, message: `Line ${lineNumber}: comment without a post` };
+                }
+                const problem = commentProblem(record.comment);
+                if (problem) {
+                    return { success: false, message: `Line ${lineNumber}: ${problem}` };
+                }
+                post.comments.push(upgradeComment(record.comment));
+                break;
+            }
+            case 'likes':
+            case 'votes':
+                break;
+            default:
+                return { success: false, message: `Line ${lineNumber}: unknown record type ${record.type}` };
+        }
+    }
+
+    if (posts.size !== (dump.footer.counts || {}).posts) {
+        return { success: false, message: 'Export is incomplete (post count does not match footer)' };
+    }
+
+    // Oldest first, so the newest posts end up at the front of the store
+    const ordered = Array.from(posts.values()).sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const post of ordered) {
+        if (post.expiresAt < now && !dataStore.isPinned(post, now)) {
+            summary.expired++;
+            continue;
+        }
+
+        if (existingIds.has(post.id)) {
+            if (onCollision === 'skip') {
+                summary.skipped++;
+                continue;
+            }
+
+            const id = dataStore.generateId();
+            idMap.set(post.id, id);
+            post.id = id;
+            renameComments(dataStore, post);
+            summary.renamed++;
+        } else {
+            idMap.set(post.id, post.id);
+        }
+
+        existingIds.add(post.id);
+        dataStore.commit({ op: 'post.create', post });
+        summary.posts++;
+        summary.comments += post.comments.length;
+    }
+
+    // Like and vote sets, pointed at the imported posts
+    for (const { record } of dump.records) {
+        if (record.type === 'likes') {
+            const postIds = (record.postIds || []).filter(id => idMap.has(id)).map(id => idMap.get(id));
+            if (typeof record.ipHash !== 'string' || postIds.length === 0) continue;
+
+            dataStore.commit({ op: 'likes.import', ipHash: record.ipHash, postIds });
+            summary.likes++;
+        } else if (record.type === 'votes') {
+            const votes = (record.votes || [])
+                .filter(([id]) => idMap.has(id))
+                .map(([id, optionId]) => [idMap.get(id), optionId]);
+            if (typeof record.ipHash !== 'string' || votes.length === 0) continue;
+
+            dataStore.commit({ op: 'votes.import', ipHash: record.ipHash, votes });
+            summary.votes++;
+        }
+    }
+
+    // Start the imported state from a clean snapshot
+    dataStore.compact();
+
+    return { success: true, version: dump.header.version, imported: summary };
+};
+
+module.exports = {
+    exportRecords,
+    importRecords,
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    COLLISION_MODES
+};
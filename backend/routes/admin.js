@@ -0,0 +1,256 @@
+const express = require('express');
+const readline = require('readline');
+const { once } = require('events');
+const security = require('../middleware/security');
+const { sendError, sendFailure } = require('../middleware/errors');
+const { exportRecords, importRecords } = require('../models/transfer');
+
+const MAX_BAN_MINUTES = 365 * 24 * 60;
+const MAX_PIN_MINUTES = 365 * 24 * 60;
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+// Admin API: moderation queue, content actions, bans and audit trail
+const createAdminRouter = (dataStore) => {
+    const router = express.Router();
+
+    router.use(security.adminAuth);
+
+    // Send a DataStore result, or its failure as an API error
+    const respond = (req, res, result) => {
+        if (result.success) {
+            return res.json(result);
+        }
+
+        sendFailure(req, res, result.message);
+    };
+
+    // List reports (optionally filtered by status: open, resolved, dismissed)
+    router.get('/reports', (req, res) => {
+        try {
+            const reports = dataStore.listReports({ status: req.query.status });
+            res.json({ reports });
+        } catch (error) {
+            console.error('Error listing reports:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to list reports' });
+        }
+    });
+
+    // Resolve or dismiss a report
+    router.post('/reports/:reportId/:status(resolve|dismiss)', (req, res) => {
+        try {
+            const status = req.params.status === 'resolve' ? 'resolved' : 'dismissed';
+            respond(req, res, dataStore.resolveReport(req.params.reportId, status, req.body.note));
+        } catch (error) {
+            console.error('Error resolving report:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to resolve report' });
+        }
+    });
+
+    // Hide, unhide, lock or unlock a post
+    router.post('/posts/:id/:action(hide|unhide|lock|unlock)', (req, res) => {
+        try {
+            respond(req, res, dataStore.moderatePost(req.params.id, req.params.action, req.body.note));
+        } catch (error) {
+            console.error('Error moderating post:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to moderate post' });
+        }
+    });
+
+    // Pin a post globally or within its category, optionally for a number of minutes
+    router.post('/posts/:id/pin', (req, res) => {
+        try {
+            const { scope = 'global', durationMinutes, note } = req.body;
+            let until = null;
+
+            if (durationMinutes !== undefined && durationMinutes !== null) {
+                const minutes = parseInt(durationMinutes);
+                if (!minutes || minutes < 1 || minutes > MAX_PIN_MINUTES) {
+                    return sendError(req, res, 'VALIDATION_FAILED', { message: `Duration must be 1-${MAX_PIN_MINUTES} minutes`, details: { field: 'durationMinutes' } });
+                }
+                until = Date.now() + minutes * 60 * 1000;
+            }
+
+            respond(req, res, dataStore.pinPost(req.params.id, { scope, until }, note));
+        } catch (error) {
+            console.error('Error pinning post:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to pin post' });
+        }
+    });
+
+    // Unpin a post
+    router.post('/posts/:id/unpin', (req, res) => {
+        try {
+            respond(req, res, dataStore.unpinPost(req.params.id, req.body.note));
+        } catch (error) {
+            console.error('Error unpinning post:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to unpin post' });
+        }
+    });
+
+    // Delete a post
+    router.delete('/posts/:id', (req, res) => {
+        try {
+            respond(req, res, dataStore.moderatePost(req.params.id, 'delete', req.body.note));
+        } catch (error) {
+            console.error('Error deleting post:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to delete post' });
+        }
+    });
+
+    // Hide or unhide a comment
+    router.post('/posts/:id/comments/:commentId/:action(hide|unhide)', (req, res) => {
+        try {
+            const { id, commentId, action } = req.params;
+            respond(req, res, dataStore.moderateComment(id, commentId, action, req.body.note));
+        } catch (error) {
+            console.error('Error moderating comment:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to moderate comment' });
+        }
+    });
+
+    // Delete a comment
+    router.delete('/posts/:id/comments/:commentId', (req, res) => {
+        try {
+            const { id, commentId } = req.params;
+            respond(req, res, dataStore.moderateComment(id, commentId, 'delete', req.body.note));
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to delete comment' });
+        }
+    });
+
+    // Clusters of near-duplicate recent posts and comments (?threshold=0-1, default 0.7)
+    router.get('/duplicates', (req, res) => {
+        try {
+            const threshold = req.query.threshold === undefined ? 0.7 : parseFloat(req.query.threshold);
+
+            if (!(threshold > 0 && threshold <= 1)) {
+                return sendError(req, res, 'VALIDATION_FAILED', { message: 'Threshold must be between 0 and 1', details: { field: 'threshold' } });
+            }
+
+            res.json({ threshold, clusters: dataStore.listDuplicates(threshold) });
+        } catch (error) {
+            console.error('Error listing duplicates:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to list duplicates' });
+        }
+    });
+
+    // List active bans
+    router.get('/bans', (req, res) => {
+        res.json({ bans: dataStore.moderation.listBans() });
+    });
+
+    // Ban an IP hash for a number of minutes
+    router.post('/bans', (req, res) => {
+        try {
+            const { ipHash, durationMinutes = 24 * 60, reason } = req.body;
+            const minutes = parseInt(durationMinutes);
+
+            if (typeof ipHash !== 'string' || !/^[a-f0-9]{64}$/.test(ipHash)) {
+                return sendError(req, res, 'VALIDATION_FAILED', { message: 'Valid ipHash is required', details: { field: 'ipHash' } });
+            }
+
+            if (!minutes || minutes < 1 || minutes > MAX_BAN_MINUTES) {
+                return sendError(req, res, 'VALIDATION_FAILED', { message: `Duration must be 1-${MAX_BAN_MINUTES} minutes`, details: { field: 'durationMinutes' } });
+            }
+
+            const result = dataStore.banIpHash(ipHash, minutes * 60 * 1000, reason);
+            res.status(201).json(result);
+        } catch (error) {
+            console.error('Error creating ban:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to create ban' });
+        }
+    });
+
+    // Lift a ban
+    router.delete('/bans/:ipHash', (req, res) => {
+        try {
+            respond(req, res, dataStore.unbanIpHash(req.params.ipHash));
+        } catch (error) {
+            console.error('Error removing ban:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to remove ban' });
+        }
+    });
+
+    // Stream an NDJSON export of live posts, comments and likes
+    // (IP hashes are stripped unless ?includeIpHash=true)
+    router.get('/export', async (req, res) => {
+        try {
+            const includeIpHash = req.query.includeIpHash === 'true';
+            const date = new Date().toISOString().slice(0, 10);
+
+            res.set({
+                'Content-Type': 'application/x-ndjson; charset=utf-8',
+                'Content-Disposition': `attachment; filename="anonforum-export-${date}.ndjson"`,
+                'Cache-Control': 'no-store'
+            });
+
+            for (const record of exportRecords(dataStore, { includeIpHash })) {
+                if (!res.write(`${JSON.stringify(record)}\n`)) {
+                    await once(res, 'drain');
+                }
+            }
+            res.end();
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            if (res.headersSent) return res.destroy(error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to export data' });
+        }
+    });
+
+    // Import an NDJSON export (?onCollision=skip|rename)
+    router.post('/import', async (req, res) => {
+        try {
+            if (!req.is('application/x-ndjson')) {
+                return sendError(req, res, 'UNSUPPORTED_MEDIA_TYPE', { message: 'Expected application/x-ndjson' });
+            }
+
+            // Answer 413, then drop the connection once the answer is out
+            const refuseTooLarge = () => {
+                res.set('Connection', 'close');
+                res.on('finish', () => req.destroy());
+                sendError(req, res, 'PAYLOAD_TOO_LARGE', { message: 'Import is too large' });
+            };
+
+            if (parseInt(req.get('Content-Length')) > MAX_IMPORT_BYTES) {
+                return refuseTooLarge();
+            }
+
+            const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+
+            let received = 0;
+            let tooLarge = false;
+            req.on('data', (chunk) => {
+                received += chunk.length;
+                if (received > MAX_IMPORT_BYTES && !tooLarge) {
+                    // Ending the lines early leaves the dump without a footer, so nothing is imported
+                    tooLarge = true;
+                    lines.close();
+                    refuseTooLarge();
+                }
+            });
+
+            const result = await importRecords(dataStore, lines, {
+                onCollision: req.query.onCollision || 'skip',
+                categories: req.app.locals.categories
+            });
+
+            if (tooLarge) return;
+
+            respond(req, res, result);
+        } catch (error) {
+            console.error('Error importing data:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to import data' });
+        }
+    });
+
+    // Recent admin and system actions
+    router.get('/audit', (req, res) => {
+        const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit) || 100));
+        res.json({ audit: dataStore.moderation.listAudit(limit) });
+    });
+
+    return router;
+};
+
+module.exports = createAdminRouter;
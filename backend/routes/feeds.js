@@ -0,0 +1,256 @@
+const express = require('express');
+const { sendError } = require('../middleware/errors');
+
+// RSS 2.0, Atom and JSON Feed output for the forum, a category, a tag or a
+// single thread (its comments).
+//
+// Entry IDs are tag URIs built from post and comment IDs, so they stay the
+// same whatever host the feed is fetched from. Links use the configured base
+// URL; without one they come from the request's Host header, and the feed is
+// then only cached privately so a forged Host can't reach a shared cache.
+
+const FORMATS = {
+    rss: 'application/rss+xml; charset=utf-8',
+    atom: 'application/atom+xml; charset=utf-8',
+    json: 'application/feed+json; charset=utf-8'
+};
+
+const GUID_PREFIX = 'tag:anonforum,2025:';
+const SUMMARY_LENGTH = 280;
+
+// Escape text for XML, dropping characters XML 1.0 does not allow
+const escapeXml = (text) => String(text == null ? '' : text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Plain-text summary of Markdown or plain source
+const summarize = (content) => {
+    const text = String(content || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*(?:>\s?)+/gm, '')
+        .replace(/[*`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 1)}…` : text;
+};
+
+const isoDate = (time) => new Date(time).toISOString();
+
+// Feed items for posts
+const postItems = (posts, baseUrl) => posts.map(post => ({
+    id: `${GUID_PREFIX}post/${post.id}`,
+    url: `${baseUrl}/posts/${post.id}`,
+    title: post.title,
+    author: post.anonId,
+    summary: summarize(post.content),
+    contentHtml: post.contentHtml,
+    published: post.timestamp,
+    updated: post.editedAt || post.timestamp,
+    tags: [post.category, ...(post.tags || [])]
+}));
+
+// Feed items for a thread's comments
+const commentItems = (post, comments, baseUrl) => comments.map(comment => ({
+    id: `${GUID_PREFIX}comment/${comment.id}`,
+    url: `${baseUrl}/posts/${post.id}#comment-${comment.id}`,
+    title: `${comment.anonId}: ${summarize(comment.content).slice(0, 80)}`,
+    author: comment.anonId,
+    summary: summarize(comment.content),
+    contentHtml: comment.contentHtml,
+    published: comment.timestamp,
+    updated: comment.editedAt || comment.timestamp,
+    tags: []
+}));
+
+const renderRss = (feed) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.homeUrl)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    ...feed.items.map(item => [
+        '<item>',
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link>${escapeXml(item.url)}</link>`,
+        `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+        `<pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+        `<description>${escapeXml(item.contentHtml || item.summary)}</description>`,
+        ...item.tags.map(tag => `<category>${escapeXml(tag)}</category>`),
+        '</item>'
+    ].join('\n')),
+    '</channel>',
+    '</rss>'
+].join('\n');
+
+const renderAtom = (feed) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(feed.id)}</id>`,
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<link href="${escapeXml(feed.homeUrl)}"/>`,
+    `<link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/atom+xml"/>`,
+    `<updated>${isoDate(feed.updated)}</updated>`,
+    ...feed.items.map(item => [
+        '<entry>',
+        `<id>${escapeXml(item.id)}</id>`,
+        `<title type="text">${escapeXml(item.title)}</title>`,
+        `<link href="${escapeXml(item.url)}"/>`,
+        `<author><name>${escapeXml(item.author)}</name></author>`,
+        `<published>${isoDate(item.published)}</published>`,
+        `<updated>${isoDate(item.updated)}</updated>`,
+        `<summary type="text">${escapeXml(item.summary)}</summary>`,
+        item.contentHtml ? `<content type="html">${escapeXml(item.contentHtml)}</content>` : '',
+        ...item.tags.map(tag => `<category term="${escapeXml(tag)}"/>`),
+        '</entry>'
+    ].filter(Boolean).join('\n')),
+    '</feed>'
+].join('\n');
+
+const renderJson = (feed) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    items: feed.items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.contentHtml || undefined,
+        content_text: item.contentHtml ? undefined : item.summary,
+        date_published: isoDate(item.published),
+        date_modified: isoDate(item.updated),
+        authors: [{ name: item.author }],
+        tags: item.tags.length > 0 ? item.tags : undefined
+    }))
+});
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJson };
+
+const createFeedRouter = (dataStore, { limit = 50, maxAgeSeconds = 300, publicUrl = null } = {}) => {
+    const router = express.Router();
+    const configuredUrl = publicUrl ? publicUrl.replace(/\/$/, '') : null;
+
+    // Base URL for links
+    const baseUrl = (req) => configuredUrl || `${req.protocol}://${req.get('host')}`;
+
+    // Render a feed with caching headers; express answers conditional
+    // requests with 304 from Last-Modified and the ETag it computes
+    const send = (req, res, format, feed) => {
+        const updated = feed.items.reduce((latest, item) => Math.max(latest, item.updated), 0) || Date.now();
+
+        res.set({
+            'Content-Type': FORMATS[format],
+            'Cache-Control': `${configuredUrl ? 'public' : 'private'}, max-age=${maxAgeSeconds}`,
+            'Last-Modified': new Date(updated).toUTCString()
+        });
+        res.send(RENDERERS[format]({ ...feed, updated, feedUrl: `${baseUrl(req)}${req.originalUrl}` }));
+    };
+
+    // Feed of posts matching the filters, pinned posts included by date
+    const postFeed = (req, { category, tag }) => {
+        const { pinned, posts } = dataStore.getPosts({ category, tag, limit, sort: 'timestamp' });
+        const entries = [...pinned, ...posts]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+
+        return postItems(entries, baseUrl(req));
+    };
+
+    router.get('/all.:format(rss|atom|json)', (req, res) => {
+        try {
+            send(req, res, req.params.format, {
+                id: `${GUID_PREFIX}feed/all`,
+                title: 'AnonForum',
+                description: 'Latest posts on AnonForum',
+                homeUrl: baseUrl(req),
+                items: postFeed(req, {})
+            });
+        } catch (error) {
+            console.error('Error building feed:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to build feed' });
+        }
+    });
+
+    router.get('/category/:slug.:format(rss|atom|json)', (req, res) => {
+        try {
+            const { slug, format } = req.params;
+            const categories = req.app.locals.categories;
+            const category = categories && categories.list(req.query.lang).find(c => c.slug === slug);
+
+            if (!category) {
+                return sendError(req, res, 'CATEGORY_NOT_FOUND');
+            }
+
+            send(req, res, format, {
+                id: `${GUID_PREFIX}feed/category/${slug}`,
+                title: `AnonForum: ${category.name}`,
+                description: category.description || `Latest posts in ${category.name}`,
+                homeUrl: `${baseUrl(req)}/?category=${encodeURIComponent(slug)}`,
+                items: postFeed(req, { category: slug })
+            });
+        } catch (error) {
+            console.error('Error building category feed:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to build feed' });
+        }
+    });
+
+    router.get('/tag/:tag.:format(rss|atom|json)', (req, res) => {
+        try {
+            const { tag, format } = req.params;
+
+            if (tag.length < 1 || tag.length > 50) {
+                return sendError(req, res, 'VALIDATION_FAILED', { message: 'Invalid tag', details: { field: 'tag' } });
+            }
+
+            send(req, res, format, {
+                id: `${GUID_PREFIX}feed/tag/${encodeURIComponent(tag.toLowerCase())}`,
+                title: `AnonForum: #${tag}`,
+                description: `Latest posts tagged ${tag}`,
+                homeUrl: `${baseUrl(req)}/?tag=${encodeURIComponent(tag)}`,
+                items: postFeed(req, { tag })
+            });
+        } catch (error) {
+            console.error('Error building tag feed:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to build feed' });
+        }
+    });
+
+    // New comments on one thread
+    router.get('/post/:id.:format(rss|atom|json)', (req, res) => {
+        try {
+            const thread = dataStore.getRecentComments(req.params.id, { limit });
+
+            if (!thread) {
+                return sendError(req, res, 'POST_NOT_FOUND');
+            }
+
+            const { post, comments } = thread;
+            send(req, res, req.params.format, {
+                id: `${GUID_PREFIX}feed/post/${post.id}`,
+                title: `AnonForum: ${post.title}`,
+                description: `Comments on "${post.title}"`,
+                homeUrl: `${baseUrl(req)}/posts/${post.id}`,
+                items: commentItems(post, comments, baseUrl(req))
+            });
+        } catch (error) {
+            console.error('Error building thread feed:', error);
+            sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to build feed' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createFeedRouter;
@@ -0,0 +1,108 @@
+const express = require('express');
+const { sendError } = require('../middleware/errors');
+
+const STREAM_EVENTS = ['post.created', 'comment.created', 'post.liked'];
+
+// Server-Sent Events stream of new posts, comments and likes.
+//
+// Events get increasing IDs and the most recent ones are kept in a bounded
+// buffer, so reconnecting clients can resume from Last-Event-ID.
+const createStreamRouter = (dataStore, {
+    bufferSize = 500,
+    heartbeatMs = 25 * 1000,
+    retryMs = 5000,
+    maxClients = 1000
+} = {}) => {
+    const router = express.Router();
+    const buffer = [];
+    const clients = new Set();
+    let lastId = 0;
+
+    // Does an event match a client's filters?
+    const matches = (event, { category, postId }) => {
+        if (category && event.category !== category) return false;
+        if (postId && event.postId !== postId) return false;
+        return true;
+    };
+
+    const send = (client, event) => {
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        // compression() buffers output unless flushed
+        if (client.res.flush) client.res.flush();
+    };
+
+    STREAM_EVENTS.forEach(type => {
+        dataStore.on(type, (data) => {
+            const event = {
+                id: ++lastId,
+                type,
+                category: data.category || (data.post && data.post.category),
+                postId: data.postId || (data.post && data.post.id),
+                data
+            };
+
+            buffer.push(event);
+            if (buffer.length > bufferSize) buffer.shift();
+
+            clients.forEach(client => {
+                if (matches(event, client.filters)) send(client, event);
+            });
+        });
+    });
+
+    router.get('/', (req, res) => {
+        if (clients.size >= maxClients) {
+            return sendError(req, res, 'SERVICE_UNAVAILABLE', { message: 'Too many stream connections, please try again later' });
+        }
+
+        const { category, postId } = req.query;
+        const client = {
+            res,
+            filters: {
+                category: category && category !== 'all' ? category : null,
+                postId: postId || null
+            }
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${retryMs}\n\n`);
+
+        // EventSource sends Last-Event-ID on reconnect; the query param is for manual reconnects
+        const resumeFrom = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+
+        if (!Number.isNaN(resumeFrom)) {
+            const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+
+            if (resumeFrom < oldest - 1 || resumeFrom > lastId) {
+                // Missed events fell out of the buffer (or the server restarted);
+                // the client should reload
+                send(client, { id: lastId, type: 'reset', data: { reason: 'history_unavailable' } });
+            } else {
+                buffer
+                    .filter(event => event.id > resumeFrom && matches(event, client.filters))
+                    .forEach(event => send(client, event));
+            }
+        }
+
+        clients.add(client);
+
+        const heartbeat = setInterval(() => {
+            res.write(': heartbeat\n\n');
+            if (res.flush) res.flush();
+        }, heartbeatMs);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+    });
+
+    return router;
+};
+
+module.exports = createStreamRouter;
@@ -0,0 +1,151 @@
+// Benchmark DataStore's indexed paths against the full scans they replaced.
+//
+//   node backend/scripts/bench-datastore.js [posts]
+//
+// Fills an in-memory store (100k posts by default), then times each
+// operation both ways: "indexed" is what DataStore does now, "scan" repeats
+// the old array walk over the same posts.
+
+const DataStore = require('../models/data');
+
+const POSTS = parseInt(process.argv[2]) || 100000;
+const CATEGORIES = ['general', 'tech', 'confession', 'study', 'life', 'work', 'entertainment'];
+const HOUR = 60 * 60 * 1000;
+
+// Run fn repeatedly for about `ms` and return operations per second
+const measure = (fn, ms = 1000) => {
+    let runs = 0;
+    const start = process.hrtime.bigint();
+    const deadline = start + BigInt(ms) * 1000000n;
+
+    do {
+        fn(runs);
+        runs++;
+    } while (process.hrtime.bigint() < deadline);
+
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    return runs / seconds;
+};
+
+const fill = (store, count, now) => {
+    for (let i = 0; i < count; i++) {
+        const timestamp = now - Math.floor((i / count) * 6 * 24 * HOUR);
+        store.commit({
+            op: 'post.create',
+            post: {
+                id: `p${i}`,
+                anonId: 'Anon#0000',
+                type: 'text',
+                title: `Post ${i}`,
+                content: `Benchmark post number ${i}`,
+                format: 'plain',
+                contentHtml: '',
+                category: CATEGORIES[i % CATEGORIES.length],
+                tags: [],
+                timestamp,
+                likes: i % 5,
+                comments: [],
+                ipHash: 'bench',
+                ttl: 7 * 24 * HOUR,
+                extendOnActivity: false,
+                // Roughly 1% of posts are past their lifetime
+                expiresAt: i % 100 === 0 ? now - HOUR : timestamp + 7 * 24 * HOUR
+            }
+        });
+    }
+};
+
+// The pre-index implementations, kept here for comparison
+const scan = {
+    find: (posts, id) => posts.find(post => post.id === id),
+    stats: (store, posts, now) => {
+        const valid = posts.filter(post => !store.isExpired(post, now));
+        const dayAgo = now - 24 * HOUR;
+        const categories = {};
+        valid.forEach(post => {
+            categories[post.category] = (categories[post.category] || 0) + 1;
+        });
+        return {
+            totalPosts: valid.length,
+            totalComments: valid.reduce((sum, post) => sum + post.comments.length, 0),
+            totalLikes: valid.reduce((sum, post) => sum + post.likes, 0),
+            postsToday: valid.filter(post => post.timestamp > dayAgo).length,
+            categories
+        };
+    },
+    category: (store, posts, category, now) => posts
+        .filter(post => !store.isExpired(post, now) && post.category === category)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, 20),
+    trim: (store, posts, post, max) => {
+        posts.unshift(post);
+        let kept = 0;
+        return posts.filter(p => store.isPinned(p, post.timestamp) || kept++ < max);
+    },
+    expired: (store, posts, now) => posts.filter(post => store.isExpired(post, now))
+};
+
+const main = () => {
+    const log = console.log;
+    console.log = () => {}; // Silence the store's startup messages
+
+    const store = new DataStore();
+    store.maxPosts = POSTS;
+
+    const now = Date.now();
+    const started = Date.now();
+    fill(store, POSTS, now);
+    console.log = log;
+
+    const posts = store.posts;
+    const ids = posts.map(post => post.id);
+    const expiredCount = scan.expired(store, posts, now).length;
+    console.log(`Filled ${POSTS} posts (${expiredCount} expired) in ${Date.now() - started}ms\n`);
+
+    const rows = [];
+    const compare = (name, indexed, scanned) => {
+        const fast = measure(indexed);
+        const slow = measure(scanned);
+        rows.push({
+            operation: name,
+            'indexed ops/s': Math.round(fast),
+            'scan ops/s': Math.round(slow),
+            speedup: `${(fast / slow).toFixed(1)}x`
+        });
+    };
+
+    compare('lookup by id',
+        (i) => store.postIndex.get(ids[(i * 7919) % ids.length]),
+        (i) => scan.find(posts, ids[(i * 7919) % ids.length]));
+
+    // Expire once up front so both sides count the same live posts
+    const removed = store.expirePosts(now);
+    const live = store.posts;
+
+    compare('stats',
+        () => store.getStats(),
+        () => scan.stats(store, live, now));
+
+    compare('category page',
+        (i) => store.getPosts({ category: CATEGORIES[i % CATEGORIES.length] }),
+        (i) => scan.category(store, live, CATEGORIES[i % CATEGORIES.length], now));
+
+    compare('find expired (nothing due)',
+        () => store.expirePosts(now),
+        () => scan.expired(store, live, now));
+
+    // Each new post pushes the oldest one out
+    store.maxPosts = store.postIndex.size;
+    let trimmed = live.slice();
+    const newPost = (i, prefix) => ({
+        ...live[0], id: `${prefix}${i}`, comments: [], timestamp: Date.now(), expiresAt: Date.now() + 24 * HOUR
+    });
+    compare('create at capacity',
+        (i) => store.commit({ op: 'post.create', post: newPost(i, 'n') }),
+        (i) => { trimmed = scan.trim(store, trimmed, newPost(i, 's'), store.maxPosts); });
+
+    console.table(rows);
+    console.log(`\nexpirePosts removed ${removed} posts in one pass`);
+};
+
+main();
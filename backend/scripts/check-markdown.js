@@ -0,0 +1,47 @@
+// Check the Markdown renderer on input that has broken it before.
+//
+//   node backend/scripts/check-markdown.js
+//
+// Quotes nested past the depth limit must render as literal text instead of
+// looping forever. Exits non-zero if any check fails.
+
+const assert = require('assert');
+const { render } = require('../models/markdown');
+
+// Quote nesting the parser turns into <blockquote> elements
+const MAX_QUOTE_DEPTH = 3;
+
+const count = (html, pattern) => (html.match(pattern) || []).length;
+
+const checks = {
+    'quotes past the depth limit render as text': () => {
+        ['>>>> x', '> > > > x', `${'>'.repeat(50)} deep`, '>>>> a\n>>>> b\n\nafter'].forEach(source => {
+            const html = render(source);
+            assert.strictEqual(count(html, /<blockquote>/g), MAX_QUOTE_DEPTH, `${JSON.stringify(source)}: ${html}`);
+            assert.ok(html.includes('&gt;'), `${JSON.stringify(source)} lost its literal ">": ${html}`);
+        });
+    },
+
+    'text after a deep quote is kept': () => {
+        const html = render('>>>> quoted\n\nplain paragraph');
+        assert.ok(html.endsWith('<p>plain paragraph</p>'), html);
+    },
+
+    'quotes within the limit still nest': () => {
+        assert.strictEqual(render('> > x'), '<blockquote><blockquote><p>x</p></blockquote></blockquote>');
+    }
+};
+
+let failed = 0;
+
+for (const [name, check] of Object.entries(checks)) {
+    try {
+        check();
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`✗ ${name}: ${error.message}`);
+    }
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,133 @@
+// Check the JavaScript SDK (frontend/js/api.js) against its mock transport.
+//
+//   node backend/scripts/check-sdk.js
+//
+// Drives AnonForumClient through createMockTransport: a 429 retried after
+// Retry-After, a 429 whose Retry-After is too long to wait for, a 404 turned
+// into NotFoundError, and a two-page post iteration. Exits non-zero if any
+// check fails.
+
+const assert = require('assert');
+const {
+    AnonForumClient,
+    NotFoundError,
+    RateLimitError,
+    createMockTransport
+} = require('../../frontend/js/api.js');
+
+const RATE_LIMITED = { error: { code: 'RATE_LIMITED', message: 'Too many requests', retryAfter: null } };
+
+// A client on a mock transport that records its waits instead of sleeping
+const mockClient = (handlers, options = {}) => {
+    const transport = createMockTransport(handlers);
+    const waits = [];
+    const client = new AnonForumClient({
+        fetch: transport,
+        sleep: async (ms) => {
+            waits.push(ms);
+        },
+        ...options
+    });
+    return { client, transport, waits };
+};
+
+const checks = {
+    'a 429 is retried after Retry-After': async () => {
+        let attempts = 0;
+        const { client, transport, waits } = mockClient({
+            'POST /api/v1/posts/:id/like': ({ params }) => {
+                attempts++;
+                if (attempts === 1) {
+                    return { status: 429, headers: { 'Retry-After': '3' }, body: RATE_LIMITED };
+                }
+                return { body: { success: true, likes: 1, postId: params.id } };
+            }
+        });
+
+        const result = await client.likePost('abc');
+        assert.strictEqual(result.likes, 1);
+        assert.strictEqual(transport.calls.length, 2);
+        assert.deepStrictEqual(waits, [3000]);
+    },
+
+    'a 429 with a long Retry-After throws RateLimitError': async () => {
+        const { client, transport, waits } = mockClient({
+            'POST /api/v1/posts/:id/like': () => ({ status: 429, headers: { 'Retry-After': '120' }, body: RATE_LIMITED })
+        });
+
+        await assert.rejects(client.likePost('abc'), (error) => {
+            assert.ok(error instanceof RateLimitError, `got ${error.constructor.name}`);
+            assert.strictEqual(error.status, 429);
+            assert.strictEqual(error.code, 'RATE_LIMITED');
+            assert.strictEqual(error.retryAfter, 120);
+            return true;
+        });
+        assert.strictEqual(transport.calls.length, 1);
+        assert.deepStrictEqual(waits, []);
+    },
+
+    'a 404 throws NotFoundError': async () => {
+        const { client, transport } = mockClient({
+            'GET /api/v1/posts/:id': () => ({
+                status: 404,
+                body: { error: { code: 'POST_NOT_FOUND', message: 'Post not found' } }
+            })
+        });
+
+        await assert.rejects(client.getPost('missing'), (error) => {
+            assert.ok(error instanceof NotFoundError, `got ${error.constructor.name}`);
+            assert.strictEqual(error.status, 404);
+            assert.strictEqual(error.code, 'POST_NOT_FOUND');
+            assert.strictEqual(error.message, 'Post not found');
+            return true;
+        });
+        assert.strictEqual(transport.calls.length, 1, '404 should not be retried');
+    },
+
+    'iteratePosts walks every page': async () => {
+        const pages = {
+            1: [{ id: 'p1' }, { id: 'p2' }],
+            2: [{ id: 'p3' }]
+        };
+        const { client, transport } = mockClient({
+            'GET /api/v1/posts': ({ query }) => {
+                const page = parseInt(query.page);
+                return {
+                    body: {
+                        posts: pages[page],
+                        pagination: { current: page, total: 2, hasNext: page < 2, hasPrev: page > 1 }
+                    }
+                };
+            }
+        });
+
+        const ids = [];
+        for await (const post of client.iteratePosts({ category: 'tech', limit: 2 })) {
+            ids.push(post.id);
+        }
+
+        assert.deepStrictEqual(ids, ['p1', 'p2', 'p3']);
+        assert.deepStrictEqual(transport.calls.map(call => call.query), [
+            { category: 'tech', limit: '2', page: '1' },
+            { category: 'tech', limit: '2', page: '2' }
+        ]);
+    }
+};
+
+const main = async () => {
+    let failed = 0;
+
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log(`✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`✗ ${name}: ${error.message}`);
+        }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
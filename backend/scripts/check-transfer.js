@@ -0,0 +1,154 @@
+// Check export and import round trips in transfer.js.
+//
+//   node backend/scripts/check-transfer.js
+//
+// Covers the version 0 migration, imports with onCollision: 'rename', field
+// validation, and what a public export leaves out. Exits non-zero if any
+// check fails.
+
+const assert = require('assert');
+const DataStore = require('../models/data');
+const { CategoryRegistry } = require('../models/categories');
+const { exportRecords, importRecords, EXPORT_FORMAT, EXPORT_VERSION } = require('../models/transfer');
+
+const PRIVATE_FIELDS = ['ipHash', 'viewers', 'authorTokenHash', 'editHistory'];
+
+// A store with one edited post, a comment and a reply to it
+const seed = () => {
+    const store = new DataStore();
+    const post = store.createPost({
+        title: 'Transfer check',
+        content: 'A post with a short thread under it',
+        category: 'tech',
+        ipHash: 'author'
+    });
+    store.updatePost(post.id, post.authorToken, { title: 'Transfer check (edited)', content: 'A post with a short thread under it, edited' });
+
+    const comment = store.createComment(post.id, { content: 'First comment', ipHashes: ['reader'] }).comment;
+    const reply = store.createComment(post.id, { content: 'A reply', ipHashes: ['author'], parentId: comment.id }).comment;
+
+    return { store, postId: post.id, commentId: comment.id, replyId: reply.id };
+};
+
+const lines = (store, options) => Array.from(exportRecords(store, options), record => JSON.stringify(record));
+
+const checks = {
+    'public exports leave out private fields': () => {
+        const { store } = seed();
+
+        for (const record of exportRecords(store)) {
+            const item = record.post || record.comment;
+            if (!item) continue;
+
+            PRIVATE_FIELDS.forEach(field => assert.ok(!(field in item), `${record.type} has ${field}`));
+        }
+
+        const full = Array.from(exportRecords(store, { includeIpHash: true })).find(record => record.type === 'post');
+        assert.ok(full.post.ipHash && full.post.authorTokenHash && full.post.editHistory, 'full export lost private fields');
+    },
+
+    'version 0 dumps are migrated': async () => {
+        const { store, postId, commentId, replyId } = seed();
+        const posts = store.posts.map(post => JSON.parse(JSON.stringify(post)));
+        const dump = [
+            JSON.stringify({ type: 'header', format: EXPORT_FORMAT, version: 0 }),
+            ...posts.map(post => JSON.stringify({ type: 'post', post })),
+            JSON.stringify({ type: 'footer', counts: { posts: posts.length } })
+        ];
+
+        const target = new DataStore();
+        const result = await importRecords(target, dump);
+        assert.ok(result.success, result.message);
+        assert.strictEqual(result.version, 0);
+        assert.strictEqual(result.imported.comments, 2);
+
+        const post = target.findLivePost(postId);
+        assert.ok(post, 'post was not imported');
+        assert.deepStrictEqual(post.comments.map(comment => comment.id), [commentId, replyId]);
+        assert.strictEqual(post.comments[1].parentId, commentId);
+    },
+
+    'renamed posts get new comment IDs and keep their replies': async () => {
+        const { store, postId, commentId, replyId } = seed();
+
+        const result = await importRecords(store, lines(store, { includeIpHash: true }), { onCollision: 'rename' });
+        assert.ok(result.success, result.message);
+        assert.strictEqual(result.imported.renamed, 1);
+
+        const copy = store.posts.find(post => post.id !== postId);
+        assert.ok(copy, 'renamed post is missing');
+
+        const [comment, reply] = copy.comments;
+        assert.ok(![commentId, replyId].includes(comment.id), 'comment kept its old ID');
+        assert.ok(![commentId, replyId].includes(reply.id), 'reply kept its old ID');
+        assert.strictEqual(reply.parentId, comment.id);
+
+        // The original thread is untouched
+        const original = store.findLivePost(postId);
+        assert.deepStrictEqual(original.comments.map(item => item.id), [commentId, replyId]);
+    },
+
+    'invalid posts and comments are rejected with their line number': async () => {
+        const categories = CategoryRegistry.load();
+        const { store } = seed();
+        const [post] = Array.from(exportRecords(store)).filter(record => record.type === 'post').map(record => record.post);
+        const comment = { id: 'c1', content: 'A comment', timestamp: post.timestamp, parentId: null };
+
+        const dump = (postChanges, commentChanges = {}) => [
+            JSON.stringify({ type: 'header', format: EXPORT_FORMAT, version: EXPORT_VERSION }),
+            JSON.stringify({ type: 'post', post: { ...post, ...postChanges } }),
+            JSON.stringify({ type: 'comment', postId: post.id, comment: { ...comment, ...commentChanges } }),
+            JSON.stringify({ type: 'footer', counts: { posts: 1, comments: 1 } })
+        ];
+
+        const cases = [
+            [{ expiresAt: undefined }, {}, 'Line 2:'],
+            [{ expiresAt: 'never' }, {}, 'Line 2:'],
+            [{ likes: '5' }, {}, 'Line 2:'],
+            [{ tags: 'a,b' }, {}, 'Line 2:'],
+            [{ category: 'no-such-category' }, {}, 'Line 2:'],
+            [{}, { timestamp: 'yesterday' }, 'Line 3:'],
+            [{}, { parentId: 7 }, 'Line 3:']
+        ];
+
+        for (const [postChanges, commentChanges, prefix] of cases) {
+            const target = new DataStore();
+            const result = await importRecords(target, dump(postChanges, commentChanges), { categories });
+            const label = JSON.stringify({ ...postChanges, ...commentChanges });
+
+            assert.ok(!result.success, `${label} was accepted`);
+            assert.ok(result.message.startsWith(prefix), `${label}: ${result.message}`);
+            assert.strictEqual(target.posts.length, 0, `${label} imported a post`);
+        }
+
+        const result = await importRecords(new DataStore(), dump({}), { categories });
+        assert.ok(result.success, result.message);
+    },
+
+    'colliding posts are skipped by default': async () => {
+        const { store } = seed();
+
+        const result = await importRecords(store, lines(store));
+        assert.ok(result.success, result.message);
+        assert.strictEqual(result.imported.skipped, 1);
+        assert.strictEqual(store.posts.length, 1);
+    }
+};
+
+const main = async () => {
+    let failed = 0;
+
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log(`✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`✗ ${name}: ${error.message}`);
+        }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
@@ -1,19 +1,67 @@
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
 const path = require('path');
 
 // Import routes and middleware
 const DataStore = require('./models/data');
+const { createStorage } = require('./models/storage');
+const { PresenceTracker } = require('./models/presence');
+const { createIdentityHasher } = require('./models/identity');
+const { CategoryRegistry } = require('./models/categories');
+const { FORMATS } = require('./models/markdown');
 const security = require('./middleware/security');
+const { apiVersion, sendError, sendFailure } = require('./middleware/errors');
+const { ResponseCache } = require('./middleware/cache');
+const { RateLimiter, SESSION_HEADER } = require('./middleware/ratelimit');
+const { createLimitStore } = require('./models/buckets');
+const { ProofOfWork, POW_SCOPES } = require('./middleware/pow');
+const createAdminRouter = require('./routes/admin');
+const createStreamRouter = require('./routes/stream');
+const createFeedRouter = require('./routes/feeds');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Keyed, rotating IP hashes; refuses to start in production without IDENTITY_SECRET
+const identity = createIdentityHasher();
+
 // Initialize data store
-const dataStore = new DataStore();
+const dataStore = new DataStore({
+    storage: createStorage(),
+    ranking: {
+        gravity: parseFloat(process.env.HOT_GRAVITY) || undefined,
+        refreshMs: parseInt(process.env.HOT_REFRESH_MS) || undefined
+    },
+    moderation: {
+        autoHideThreshold: parseInt(process.env.REPORT_AUTO_HIDE) || undefined
+    },
+    similarity: {
+        windowMs: (parseFloat(process.env.DUPLICATE_WINDOW_HOURS) * 60 * 60 * 1000) || undefined
+    },
+    pseudonymSecret: process.env.PSEUDONYM_SECRET
+});
+
+// Category registry and per-category rules
+const categories = CategoryRegistry.load(process.env.CATEGORIES_FILE || undefined);
+app.locals.categories = categories;
+
+// Proof of work for posting and commenting
+const pow = new ProofOfWork({
+    secret: process.env.POW_SECRET,
+    mode: process.env.POW_MODE || 'optional',
+    difficultyOffset: parseInt(process.env.POW_DIFFICULTY_OFFSET) || 0
+});
+
+// Versioned response cache for read endpoints (see middleware/cache.js)
+const responseCache = new ResponseCache(dataStore);
+
+// Initialize presence tracking
+const presence = new PresenceTracker({
+    windowMs: parseInt(process.env.PRESENCE_WINDOW_MS) || undefined,
+    demo: process.env.PRESENCE_DEMO === 'true'
+});
 
 // Security middleware
 app.use(helmet({
@@ -28,6 +76,9 @@ app.use(helmet({
     }
 }));
 
+// Every request carries its IP hashes (req.ipHashes); the raw IP goes no further
+app.use(identity.attach());
+
 // CORS configuration
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
@@ -35,38 +86,51 @@ app.use(cors({
         : ['http://localhost:3000', 'http://127.0.0.1:3000'],
     credentials: false,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type']
+    allowedHeaders: ['Content-Type', 'X-Author-Token', 'Authorization', SESSION_HEADER],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }));
 
 // Compression
 app.use(compression());
 
+// /api/v1 is served by the same routes as /api, with versioned error bodies
+app.use(apiVersion);
+
 // Body parsing
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: false, limit: '10kb' }));
 
-// Rate limiting
-const globalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // 100 requests per windowMs per IP
-    message: { error: 'Too many requests, please try again later.' },
-    standardHeaders: true,
-    legacyHeaders: false
+// Rate limiting: one token-bucket limiter for every route (see middleware/ratelimit.js)
+const limiter = new RateLimiter({
+    store: createLimitStore(),
+    hashIP: (ip) => identity.hash(ip),
+    sessionSecret: process.env.SESSION_SECRET,
+    sessionTtl: (parseFloat(process.env.SESSION_TTL_HOURS) * 60 * 60 * 1000) || undefined,
+    ipCeiling: parseFloat(process.env.RATE_LIMIT_IP_CEILING) || undefined
 });
 
-const postLimiter = rateLimit({
-    windowMs: 5 * 60 * 1000, // 5 minutes
-    max: 3, // 3 posts per 5 minutes
-    message: { error: 'Too many posts, please slow down.' }
+// Per-category limits from the registry, applied on top of the route limits
+categories.slugs().forEach(slug => {
+    const limits = categories.rules(slug).rateLimit || {};
+    
+    ['posts', 'comments'].forEach(kind => {
+        if (!limits[kind]) return;
+        
+        limiter.addRule(`${kind}:${slug}`, {
+            ...limits[kind],
+            message: `Too many ${kind} in this category, please slow down.`
+        });
+    });
 });
 
-const commentLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 5, // 5 comments per minute
-    message: { error: 'Too many comments, please slow down.' }
-});
+// Per-client limits on posting are skipped when a valid proof of work was presented
+const powVerified = (req) => req.powVerified === true;
+const postLimiter = limiter.limit('posts', { skip: powVerified });
+const commentLimiter = limiter.limit('comments', { skip: powVerified });
+const categoryLimiter = (kind, getCategory) => limiter.limit(req => `${kind}:${getCategory(req)}`, { skip: powVerified });
 
-app.use('/api', globalLimiter);
+// Heartbeats have their own limit
+app.use('/api', limiter.limit('global', { skip: (req) => req.path === '/presence' }));
 
 // Security middleware
 app.use('/api', security.sanitizeInput);
@@ -79,6 +143,139 @@ if (process.env.NODE_ENV === 'production') {
 
 // API Routes
 
+// Reject a request with invalid input, naming the offending field
+const invalid = (req, res, message, field) =>
+    sendError(req, res, 'VALIDATION_FAILED', { message, details: field ? { field } : null });
+
+// Validate poll settings; returns an error message or null
+const validatePoll = (poll, ttl) => {
+    if (!poll || !Array.isArray(poll.options)) {
+        return 'Poll options are required';
+    }
+    
+    const options = poll.options.map(option => typeof option === 'string' ? option.trim() : '');
+    
+    if (options.length < 2 || options.length > 10) {
+        return 'Polls must have 2-10 options';
+    }
+    
+    if (options.some(option => option.length < 1 || option.length > 100)) {
+        return 'Poll options must be 1-100 characters';
+    }
+    
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        return 'Poll options must be unique';
+    }
+    
+    if (poll.closesAt !== undefined && poll.closesAt !== null) {
+        const closesAt = new Date(poll.closesAt).getTime();
+        if (Number.isNaN(closesAt) || closesAt <= Date.now() || closesAt > Date.now() + ttl) {
+            return 'Poll close time must be in the future and before the post expires';
+        }
+    }
+    
+    return null;
+};
+
+// Category of the post a comment is being added to
+const postCategory = (req) => {
+    const post = dataStore.findLivePost(req.params.id);
+    return post ? post.category : null;
+};
+
+// Reject writes to read-only categories
+const rejectReadOnly = (getCategory) => (req, res, next) => {
+    const category = getCategory(req);
+    
+    if (categories.has(category) && categories.rules(category).readOnly) {
+        return sendError(req, res, 'CATEGORY_READ_ONLY');
+    }
+    
+    next();
+};
+
+// Near-duplicate check under the category's rule: null when the text may go
+// through, otherwise { action, similarity, reason } with action reject or hold
+// (`target` names the post or comment being edited, so it doesn't match itself)
+const checkDuplicate = (text, category, target = {}) => {
+    const rule = categories.has(category) && categories.rules(category).duplicates;
+    if (!rule) return null;
+    
+    const match = dataStore.findDuplicate(text, rule.threshold, target);
+    if (!match) return null;
+    
+    return {
+        action: rule.action,
+        similarity: match.similarity,
+        reason: `Near-duplicate of ${match.key} (${Math.round(match.similarity * 100)}% similar)`
+    };
+};
+
+// Checks shared by creating and editing a post: title and content lengths under
+// the category's rules, then near-duplicates. Sends the error and returns null
+// when the text is refused; otherwise { duplicate }, a match to hold or null.
+const checkPostText = (req, res, { title, content, category, postId = null }) => {
+    const rules = categories.rules(category);
+    
+    if (title.length < 3 || title.length > 200) {
+        invalid(req, res, 'Title must be 3-200 characters', 'title');
+        return null;
+    }
+    
+    if (content.length < rules.minContentLength || content.length > 2000) {
+        invalid(req, res, `Content must be ${rules.minContentLength}-2000 characters`, 'content');
+        return null;
+    }
+    
+    // Copy-paste floods: near-duplicates of recent content are refused or held for review
+    const duplicate = checkDuplicate(`${title.trim()}\n${content.trim()}`, category, { postId });
+    if (duplicate && duplicate.action !== 'hold') {
+        sendError(req, res, 'DUPLICATE_CONTENT', { details: { similarity: duplicate.similarity } });
+        return null;
+    }
+    
+    return { duplicate };
+};
+
+// The same for comments, whose category is their post's
+const checkCommentText = (req, res, { content, category, postId, commentId = null }) => {
+    if (!content || content.trim().length < 1) {
+        invalid(req, res, 'Comment content is required', 'content');
+        return null;
+    }
+    
+    if (content.length > 1000) {
+        invalid(req, res, 'Comment must be under 1000 characters', 'content');
+        return null;
+    }
+    
+    const duplicate = checkDuplicate(content.trim(), category, commentId ? { postId, commentId } : {});
+    if (duplicate && duplicate.action !== 'hold') {
+        sendError(req, res, 'DUPLICATE_CONTENT', { details: { similarity: duplicate.similarity } });
+        return null;
+    }
+    
+    return { duplicate };
+};
+
+// Author token presented for edits and deletions
+const authorToken = (req) => req.get('X-Author-Token');
+
+// Hashed IP of the requester under the current identity key
+const requesterHash = (req) => req.ipHashes[0];
+
+// Reject requests from banned IP hashes
+const rejectBanned = (req, res, next) => {
+    const ban = dataStore.findBan(req.ipHashes);
+    
+    if (ban) {
+        const until = new Date(ban.until).toISOString();
+        return sendError(req, res, 'BANNED', { details: { until }, legacy: { until } });
+    }
+    
+    next();
+};
+
 // Health check
 app.get('/api/health', (req, res) => {
     const stats = dataStore.getStats();
@@ -94,176 +291,577 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Poll results include the requester's own vote
+const hasPoll = (post) => Boolean(post.poll);
+
 // Get all posts
-app.get('/api/posts', (req, res) => {
+app.get('/api/posts', responseCache.cached({
+    sMaxAge: 10,
+    staleWhileRevalidate: 30,
+    viewer: requesterHash,
+    isPrivate: ({ pinned, posts }) => pinned.some(hasPoll) || posts.some(hasPoll)
+}), (req, res) => {
     try {
-        const { category, page = 1, limit = 20, sort = 'timestamp' } = req.query;
+        const { category, tag, page = 1, limit = 20, sort = 'timestamp' } = req.query;
         
         const pageNum = Math.max(1, parseInt(page));
         const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
         
         const posts = dataStore.getPosts({
             category: category !== 'all' ? category : undefined,
+            tag: tag || undefined,
             page: pageNum,
             limit: limitNum,
-            sort
+            sort,
+            viewerHashes: req.ipHashes
         });
         
         res.json(posts);
     } catch (error) {
         console.error('Error getting posts:', error);
-        res.status(500).json({ error: 'Failed to get posts' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get posts' });
     }
 });
 
 // Get single post with comments
-app.get('/api/posts/:id', (req, res) => {
+app.get('/api/posts/:id', responseCache.cached({
+    sMaxAge: 30,
+    staleWhileRevalidate: 60,
+    viewer: requesterHash,
+    isPrivate: hasPoll
+}), (req, res) => {
     try {
-        const post = dataStore.getPost(req.params.id);
+        const post = dataStore.getPost(req.params.id, { viewerHashes: req.ipHashes });
         
         if (!post) {
-            return res.status(404).json({ error: 'Post not found' });
+            return sendError(req, res, 'POST_NOT_FOUND');
+        }
+        
+        // Burn-after-reading content must not be kept by caches (and every
+        // request has to reach the store to count as a view)
+        if (post.burnAfterViews) {
+            res.set('Cache-Control', 'no-store');
         }
         
         res.json(post);
     } catch (error) {
         console.error('Error getting post:', error);
-        res.status(500).json({ error: 'Failed to get post' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get post' });
     }
 });
 
 // Create new post
-app.post('/api/posts', postLimiter, (req, res) => {
+const bodyCategory = (req) => req.body && req.body.category;
+
+app.post('/api/posts', rejectBanned, rejectReadOnly(bodyCategory), pow.verify('post', requesterHash),
+    postLimiter, categoryLimiter('posts', bodyCategory), (req, res) => {
     try {
-        const { title, content, category, tags } = req.body;
+        const {
+            title, content, category, tags, type = 'text', poll, format = 'markdown',
+            expiresIn, extendOnActivity, burnAfterViews
+        } = req.body;
         
         // Validation
         if (!title || !content || !category) {
-            return res.status(400).json({ error: 'Title, content, and category are required' });
+            return invalid(req, res, 'Title, content, and category are required');
+        }
+        
+        if (!categories.has(category)) {
+            return invalid(req, res, 'Invalid category', 'category');
         }
         
-        if (title.length < 3 || title.length > 200) {
-            return res.status(400).json({ error: 'Title must be 3-200 characters' });
+        if (expiresIn !== undefined && !Object.prototype.hasOwnProperty.call(DataStore.POST_TTLS, expiresIn)) {
+            return invalid(req, res, `Expiry must be one of: ${Object.keys(DataStore.POST_TTLS).join(', ')}`, 'expiresIn');
         }
         
-        if (content.length < 10 || content.length > 2000) {
-            return res.status(400).json({ error: 'Content must be 10-2000 characters' });
+        if (extendOnActivity !== undefined && typeof extendOnActivity !== 'boolean') {
+            return invalid(req, res, 'extendOnActivity must be a boolean', 'extendOnActivity');
         }
         
-        const validCategories = ['general', 'tech', 'crypto', 'society', 'confession', 'question', 'random'];
-        if (!validCategories.includes(category)) {
-            return res.status(400).json({ error: 'Invalid category' });
+        if (burnAfterViews !== undefined && burnAfterViews !== null &&
+            (!Number.isInteger(burnAfterViews) || burnAfterViews < 1 || burnAfterViews > dataStore.maxBurnViews)) {
+            return invalid(req, res, `burnAfterViews must be 1-${dataStore.maxBurnViews}`, 'burnAfterViews');
         }
         
+        // The category's lifetime applies unless the poster picks one
+        const ttl = expiresIn ? DataStore.POST_TTLS[expiresIn] : categories.postTtl(category);
+        
+        if (!['text', 'poll'].includes(type)) {
+            return invalid(req, res, 'Invalid post type', 'type');
+        }
+        
+        if (!FORMATS.includes(format)) {
+            return invalid(req, res, 'Invalid content format', 'format');
+        }
+        
+        if (type === 'poll') {
+            const pollError = validatePoll(poll, ttl);
+            if (pollError) {
+                return invalid(req, res, pollError, 'poll');
+            }
+        }
+        
+        const checked = checkPostText(req, res, { title, content, category });
+        if (!checked) return;
+        const { duplicate } = checked;
+        
         // Create post
         const postData = {
             title: title.trim(),
             content: content.trim(),
             category,
             tags: Array.isArray(tags) ? tags.slice(0, 5) : [],
-            ipHash: security.hashIP(req.ip || req.connection.remoteAddress)
+            ipHash: requesterHash(req),
+            format,
+            type,
+            poll: type === 'poll' ? {
+                options: poll.options.map(option => option.trim()),
+                closesAt: poll.closesAt ? new Date(poll.closesAt).getTime() : null,
+                hideResults: poll.hideResults === true
+            } : null,
+            ttl,
+            extendOnActivity: extendOnActivity === true,
+            burnAfterViews: burnAfterViews || null,
+            held: duplicate ? duplicate.reason : null
         };
         
         const newPost = dataStore.createPost(postData);
         
+        // Abuse signals flag content for review; they never block it
+        if (req.abuse && req.abuse.flagged) {
+            dataStore.flagContent(newPost.id, null, req.abuse);
+        }
+        
         res.status(201).json({
             success: true,
-            post: newPost
+            post: newPost,
+            held: Boolean(duplicate)
         });
         
     } catch (error) {
         console.error('Error creating post:', error);
-        res.status(500).json({ error: 'Failed to create post' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to create post' });
+    }
+});
+
+// Edit a post (author only); the new text must pass the same checks as a new post
+app.put('/api/posts/:id', rejectBanned, rejectReadOnly(postCategory), (req, res) => {
+    try {
+        const { title, content, tags } = req.body;
+        
+        const post = dataStore.findLivePost(req.params.id);
+        if (!post) {
+            return sendError(req, res, 'POST_NOT_FOUND');
+        }
+        
+        // Only the author learns anything about the new text (lengths, near-duplicates)
+        const denied = dataStore.checkAuthor(post, authorToken(req), { edit: true });
+        if (denied) {
+            return sendFailure(req, res, denied);
+        }
+        
+        // Validation
+        if (!title || !content) {
+            return invalid(req, res, 'Title and content are required');
+        }
+        
+        const checked = checkPostText(req, res, { title, content, category: post.category, postId: post.id });
+        if (!checked) return;
+        const { duplicate } = checked;
+        
+        const result = dataStore.updatePost(req.params.id, authorToken(req), {
+            title: title.trim(),
+            content: content.trim(),
+            tags: Array.isArray(tags) ? tags : undefined,
+            held: duplicate ? duplicate.reason : null
+        });
+        
+        if (result.success) {
+            // Edited text is scored like new text: flagged for review, never blocked
+            if (req.abuse && req.abuse.flagged) {
+                dataStore.flagContent(post.id, null, req.abuse);
+            }
+            
+            res.json({ success: true, post: result.post, held: Boolean(duplicate) });
+        } else {
+            sendFailure(req, res, result.message);
+        }
+    } catch (error) {
+        console.error('Error updating post:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to update post' });
+    }
+});
+
+// Delete a post (author only)
+app.delete('/api/posts/:id', (req, res) => {
+    try {
+        const result = dataStore.deletePost(req.params.id, authorToken(req));
+        
+        if (result.success) {
+            res.json({ success: true });
+        } else {
+            sendFailure(req, res, result.message);
+        }
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to delete post' });
     }
 });
 
 // Like a post
-app.post('/api/posts/:id/like', rateLimit({
-    windowMs: 60 * 1000, // 1 minute
-    max: 10, // 10 likes per minute
-    message: { error: 'Too many likes, please slow down' }
-}), (req, res) => {
+app.post('/api/posts/:id/like', limiter.limit('likes'), rejectBanned, (req, res) => {
     try {
-        const result = dataStore.likePost(req.params.id, req.ip);
+        const result = dataStore.likePost(req.params.id, req.ipHashes);
         
         if (result.success) {
             res.json({ success: true, likes: result.likes });
         } else {
-            res.status(400).json({ error: result.message });
+            // The unversioned route has always answered 400 here, for a missing post too
+            sendFailure(req, res, result.message, { legacyStatus: 400 });
         }
     } catch (error) {
         console.error('Error liking post:', error);
-        res.status(500).json({ error: 'Failed to like post' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to like post' });
+    }
+});
+
+// Vote in a poll
+app.post('/api/posts/:id/vote', limiter.limit('votes'), rejectBanned, (req, res) => {
+    try {
+        const optionId = parseInt(req.body.optionId);
+        
+        if (!optionId) {
+            return invalid(req, res, 'Poll option is required', 'optionId');
+        }
+        
+        const result = dataStore.votePoll(req.params.id, req.ipHashes, optionId);
+        
+        if (result.success) {
+            res.json({ success: true, poll: result.poll });
+        } else {
+            sendFailure(req, res, result.message);
+        }
+    } catch (error) {
+        console.error('Error voting in poll:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to vote' });
     }
 });
 
 // Create comment
-app.post('/api/posts/:id/comments', commentLimiter, (req, res) => {
+app.post('/api/posts/:id/comments', rejectBanned, rejectReadOnly(postCategory), pow.verify('comment', requesterHash),
+    commentLimiter, categoryLimiter('comments', postCategory), (req, res) => {
     try {
-        const { content } = req.body;
+        const { content, parentId, format = 'markdown' } = req.body;
         const postId = req.params.id;
         
         // Validation
-        if (!content || content.trim().length < 1) {
-            return res.status(400).json({ error: 'Comment content is required' });
+        if (parentId !== undefined && parentId !== null && typeof parentId !== 'string') {
+            return invalid(req, res, 'Invalid parent comment', 'parentId');
         }
         
-        if (content.length > 1000) {
-            return res.status(400).json({ error: 'Comment must be under 1000 characters' });
+        if (!FORMATS.includes(format)) {
+            return invalid(req, res, 'Invalid content format', 'format');
         }
         
+        const checked = checkCommentText(req, res, { content, category: postCategory(req), postId });
+        if (!checked) return;
+        const { duplicate } = checked;
+        
         const commentData = {
             content: content.trim(),
-            ipHash: security.hashIP(req.ip || req.connection.remoteAddress)
+            format,
+            parentId: parentId || null,
+            ipHashes: req.ipHashes,
+            held: duplicate ? duplicate.reason : null
         };
         
         const result = dataStore.createComment(postId, commentData);
         
+        if (result.success && req.abuse && req.abuse.flagged) {
+            dataStore.flagContent(postId, result.comment.id, req.abuse);
+        }
+        
         if (result.success) {
             res.status(201).json({
                 success: true,
-                comment: result.comment
+                comment: result.comment,
+                held: Boolean(duplicate)
             });
         } else {
-            res.status(404).json({ error: result.message });
+            sendFailure(req, res, result.message);
         }
         
     } catch (error) {
         console.error('Error creating comment:', error);
-        res.status(500).json({ error: 'Failed to create comment' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to create comment' });
     }
 });
 
+// Parse the reply depth limit for comment trees
+const parseDepth = (depth) => {
+    const parsed = parseInt(depth);
+    return Number.isNaN(parsed) ? 5 : Math.min(10, Math.max(0, parsed));
+};
+
 // Get comments for a post
-app.get('/api/posts/:id/comments', (req, res) => {
+const commentsCache = responseCache.cached({ sMaxAge: 10, staleWhileRevalidate: 30 });
+app.get('/api/posts/:id/comments', commentsCache, (req, res) => {
     try {
-        const comments = dataStore.getComments(req.params.id);
+        const comments = dataStore.getComments(req.params.id, {
+            maxDepth: parseDepth(req.query.depth)
+        });
         res.json({ comments });
     } catch (error) {
         console.error('Error getting comments:', error);
-        res.status(500).json({ error: 'Failed to get comments' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get comments' });
+    }
+});
+
+// Get a single comment subtree
+app.get('/api/posts/:id/comments/:commentId', commentsCache, (req, res) => {
+    try {
+        const comment = dataStore.getCommentThread(req.params.id, req.params.commentId, {
+            maxDepth: parseDepth(req.query.depth)
+        });
+        
+        if (!comment) {
+            return sendError(req, res, 'COMMENT_NOT_FOUND');
+        }
+        
+        res.json({ comment });
+    } catch (error) {
+        console.error('Error getting comment thread:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get comment thread' });
+    }
+});
+
+// Edit a comment (author only); the new text must pass the same checks as a new comment
+app.put('/api/posts/:id/comments/:commentId', rejectBanned, rejectReadOnly(postCategory), (req, res) => {
+    try {
+        const { comment, error } = dataStore.findComment(req.params.id, req.params.commentId);
+        if (error) {
+            return sendFailure(req, res, error);
+        }
+        
+        // Only the author learns anything about the new text (lengths, near-duplicates)
+        const denied = dataStore.checkAuthor(comment, authorToken(req), { edit: true });
+        if (denied) {
+            return sendFailure(req, res, denied);
+        }
+        
+        const checked = checkCommentText(req, res, {
+            content: req.body.content,
+            category: postCategory(req),
+            postId: req.params.id,
+            commentId: req.params.commentId
+        });
+        if (!checked) return;
+        const { duplicate } = checked;
+        
+        const result = dataStore.updateComment(req.params.id, req.params.commentId, authorToken(req), {
+            content: req.body.content.trim(),
+            held: duplicate ? duplicate.reason : null
+        });
+        
+        if (result.success) {
+            if (req.abuse && req.abuse.flagged) {
+                dataStore.flagContent(req.params.id, comment.id, req.abuse);
+            }
+            
+            res.json({ success: true, comment: result.comment, held: Boolean(duplicate) });
+        } else {
+            sendFailure(req, res, result.message);
+        }
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to update comment' });
+    }
+});
+
+// Delete a comment (author only)
+app.delete('/api/posts/:id/comments/:commentId', (req, res) => {
+    try {
+        const result = dataStore.deleteComment(req.params.id, req.params.commentId, authorToken(req));
+        
+        if (result.success) {
+            res.json({ success: true });
+        } else {
+            sendFailure(req, res, result.message);
+        }
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to delete comment' });
+    }
+});
+
+// Category registry, with names in the requested language
+app.get('/api/categories', (req, res) => {
+    try {
+        const locale = req.query.lang || req.acceptsLanguages('vi', 'en') || undefined;
+        res.json({ categories: categories.list(locale) });
+    } catch (error) {
+        console.error('Error getting categories:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get categories' });
+    }
+});
+
+// Issue a proof-of-work challenge
+app.get('/api/challenge', (req, res) => {
+    const scope = req.query.scope || 'post';
+    
+    if (!POW_SCOPES.includes(scope)) {
+        return invalid(req, res, 'Invalid challenge scope', 'scope');
+    }
+    
+    if (pow.mode === 'off') {
+        return res.json({ required: false });
+    }
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        required: pow.mode === 'required',
+        scope,
+        ...pow.issue(scope, requesterHash(req))
+    });
+});
+
+// Issue a session token; clients that send it back in X-Session-Token from
+// the same IP get their own rate limits instead of sharing their IP's
+app.post('/api/session', limiter.limit('sessions', { sessions: false }), (req, res) => {
+    const { token, expiresAt } = limiter.createSession(requesterHash(req));
+    
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({ token, header: SESSION_HEADER, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+// Report a post or comment
+const reportLimiter = limiter.limit('reports');
+
+const handleReport = (req, res) => {
+    try {
+        const { reason, details } = req.body;
+        
+        if (details !== undefined && (typeof details !== 'string' || details.length > 500)) {
+            return invalid(req, res, 'Details must be under 500 characters', 'details');
+        }
+        
+        const result = dataStore.reportContent(req.params.id, req.params.commentId, {
+            reason,
+            details: details ? details.trim() : null,
+            ipHashes: req.ipHashes
+        });
+        
+        if (result.success) {
+            res.status(201).json({ success: true });
+        } else {
+            sendFailure(req, res, result.message);
+        }
+    } catch (error) {
+        console.error('Error reporting content:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to report content' });
+    }
+};
+
+app.post('/api/posts/:id/report', reportLimiter, rejectBanned, handleReport);
+app.post('/api/posts/:id/comments/:commentId/report', reportLimiter, rejectBanned, handleReport);
+
+// Admin API
+app.use('/api/admin', createAdminRouter(dataStore));
+
+// Live updates (Server-Sent Events)
+app.use('/api/stream', createStreamRouter(dataStore));
+
+// RSS, Atom and JSON feeds
+app.use('/api/feeds', createFeedRouter(dataStore, { publicUrl: process.env.FEED_BASE_URL }));
+
+// Parse a date filter given as an ISO string or epoch milliseconds
+const parseDate = (value) => {
+    if (!value) return undefined;
+    const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+// Search posts
+app.get('/api/search', (req, res) => {
+    try {
+        const { q, category, tag, from, to, page = 1, limit = 20 } = req.query;
+        
+        if (typeof q !== 'string' || q.trim().length < 2) {
+            return invalid(req, res, 'Search query must be at least 2 characters', 'q');
+        }
+        
+        const fromTime = parseDate(from);
+        const toTime = parseDate(to);
+        
+        if (fromTime === null || toTime === null) {
+            return invalid(req, res, 'Invalid date filter');
+        }
+        
+        const results = dataStore.searchPosts(q.trim(), {
+            category: category && category !== 'all' ? category : undefined,
+            tag: tag || undefined,
+            from: fromTime,
+            to: toTime,
+            page: Math.max(1, parseInt(page) || 1),
+            limit: Math.min(50, Math.max(1, parseInt(limit) || 20))
+        });
+        
+        res.json(results);
+    } catch (error) {
+        console.error('Error searching posts:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to search posts' });
     }
 });
 
 // Get statistics
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', responseCache.cached({ maxAge: 30, sMaxAge: 60 }), (req, res) => {
     try {
         const stats = dataStore.getStats();
         res.json(stats);
     } catch (error) {
         console.error('Error getting stats:', error);
-        res.status(500).json({ error: 'Failed to get stats' });
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get stats' });
     }
 });
 
-// Online users simulation
+// Presence heartbeat
+app.post('/api/presence', limiter.limit('presence'), (req, res) => {
+    try {
+        const { sessionId, category, postId } = req.body;
+        
+        if (!presence.isValidSessionId(sessionId)) {
+            return invalid(req, res, 'Invalid session ID', 'sessionId');
+        }
+        
+        const context = {
+            category: typeof category === 'string' && category !== 'all' ? category.slice(0, 50) : null,
+            postId: typeof postId === 'string' ? postId.slice(0, 50) : null
+        };
+        
+        if (!presence.heartbeat(sessionId, context)) {
+            return sendError(req, res, 'SERVICE_UNAVAILABLE', { message: 'Presence tracking is at capacity' });
+        }
+        
+        res.json(presence.getOnline(context));
+    } catch (error) {
+        console.error('Error recording heartbeat:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to record heartbeat' });
+    }
+});
+
+// Online users (distinct sessions with a recent heartbeat)
 app.get('/api/online', (req, res) => {
-    const baseCount = 20;
-    const variance = Math.floor(Math.random() * 50);
-    const timeBonus = Math.floor(Math.sin(Date.now() / 600000) * 15);
-    const count = Math.max(1, baseCount + variance + timeBonus);
-    
-    res.json({ online: count });
+    try {
+        const { category, postId } = req.query;
+        
+        res.json(presence.getOnline({
+            category: category && category !== 'all' ? category : undefined,
+            postId: postId || undefined
+        }));
+    } catch (error) {
+        console.error('Error getting online count:', error);
+        sendError(req, res, 'INTERNAL_ERROR', { message: 'Failed to get online count' });
+    }
 });
 
 // Fallback for SPA (if serving frontend)
@@ -275,17 +873,23 @@ if (process.env.NODE_ENV === 'production') {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // Body parser failures are the client's fault
+    if (error.type === 'entity.parse.failed') {
+        return sendError(req, res, 'INVALID_JSON');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(req, res, 'PAYLOAD_TOO_LARGE');
+    }
+
     console.error('Unhandled error:', error);
-    res.status(500).json({
-        error: process.env.NODE_ENV === 'production' 
-            ? 'Internal server error' 
-            : error.message
+    sendError(req, res, 'INTERNAL_ERROR', {
+        message: process.env.NODE_ENV === 'production' ? undefined : error.message
     });
 });
 
 // 404 handler
 app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
+    sendError(req, res, 'ENDPOINT_NOT_FOUND');
 });
 
 // Cleanup job - run every hour
@@ -304,7 +908,7 @@ setInterval(() => {
 app.listen(PORT, () => {
     console.log(`🚀 AnonForum server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`💾 Storage: In-memory (restart will clear data)`);
+    console.log(`💾 Storage: ${dataStore.storage.describe()}`);
     
     // Initialize with sample data in development
     if (process.env.NODE_ENV !== 'production') {
@@ -314,14 +918,19 @@ app.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
+const shutdown = (signal) => {
+    console.log(`${signal} received, shutting down gracefully`);
+    
+    try {
+        dataStore.close();
+    } catch (error) {
+        console.error('Error flushing data store:', error);
+    }
+    
     process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,650 @@
+// AnonForum SDK: a fetch-based API client for browsers and Node 18+.
+//
+// const client = new AnonForumClient({ baseURL: 'https://forum.example', fetch });
+// for await (const post of client.iteratePosts({ category: 'tech' })) { ... }
+//
+// Failed requests throw AnonForumError subclasses carrying the HTTP status and
+// an error code. 429 responses are retried after Retry-After (when it is
+// short enough); network errors, timeouts and 5xx responses are retried with
+// backoff for idempotent methods.
+
+// Base class for every error thrown by the client
+class AnonForumError extends Error {
+    constructor(message, { status = null, code = 'UNKNOWN', details = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.retryAfter = retryAfter; // Seconds, when the server sent Retry-After
+    }
+}
+
+class NetworkError extends AnonForumError {}
+class TimeoutError extends AnonForumError {}
+class ValidationError extends AnonForumError {}
+class AuthError extends AnonForumError {}
+class NotFoundError extends AnonForumError {}
+class ConflictError extends AnonForumError {}
+class RateLimitError extends AnonForumError {}
+class ServerError extends AnonForumError {}
+
+// Error class and fallback code for HTTP statuses without a server-sent code
+const STATUS_ERRORS = {
+    400: [ValidationError, 'BAD_REQUEST'],
+    401: [AuthError, 'UNAUTHORIZED'],
+    403: [AuthError, 'FORBIDDEN'],
+    404: [NotFoundError, 'NOT_FOUND'],
+    409: [ConflictError, 'CONFLICT'],
+    413: [ValidationError, 'PAYLOAD_TOO_LARGE'],
+    415: [ValidationError, 'UNSUPPORTED_MEDIA_TYPE'],
+    429: [RateLimitError, 'RATE_LIMITED']
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Parse Retry-After (delta seconds or an HTTP date) into seconds
+const parseRetryAfter = (value, now = Date.now()) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+};
+
+// Build the error for a failed response. Accepts both { error: 'message' }
+// and { error: { code, message, details, retryAfter } } bodies.
+const errorFromResponse = (response, body) => {
+    const [ErrorClass, fallbackCode] = STATUS_ERRORS[response.status] ||
+        (response.status >= 500 ? [ServerError, 'SERVER_ERROR'] : [AnonForumError, 'HTTP_ERROR']);
+    const envelope = body && typeof body.error === 'object' && body.error !== null
+        ? body.error
+        : { message: body && body.error };
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after')) ?? envelope.retryAfter ?? null;
+
+    return new ErrorClass(envelope.message || `HTTP ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        code: envelope.code || fallbackCode,
+        details: envelope.details || null,
+        retryAfter
+    });
+};
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class AnonForumClient {
+    constructor({
+        baseURL = '',
+        apiPrefix = '/api/v1', // '/api' talks to the unversioned alias
+        fetch = typeof globalThis.fetch === 'function' ? globalThis.fetch.bind(globalThis) : null,
+        timeout = 10000,
+        maxRetries = 2,
+        retryDelay = 500, // Base backoff in ms, doubled per attempt
+        maxRetryAfter = 60, // Longest Retry-After (seconds) worth waiting for
+        headers = {},
+        sleep = defaultSleep
+    } = {}) {
+        if (!fetch) {
+            throw new Error('No fetch implementation available; pass one in the options');
+        }
+
+        this.baseURL = baseURL.replace(/\/$/, '');
+        this.apiPrefix = apiPrefix;
+        this.fetch = fetch;
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.maxRetryAfter = maxRetryAfter;
+        this.headers = headers;
+        this.sleep = sleep;
+    }
+
+    // One attempt: fetch with a timeout, throwing typed errors
+    async attempt(url, config) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await this.fetch(url, { ...config, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TimeoutError('Request timeout - please check your connection', { code: 'TIMEOUT' });
+            }
+            throw new NetworkError('Cannot connect to server - please try again later', {
+                code: 'NETWORK_ERROR',
+                details: error.message
+            });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            const contentType = response.headers.get('content-type') || '';
+            const body = contentType.includes('json') ? await response.json().catch(() => null) : null;
+            throw errorFromResponse(response, body);
+        }
+
+        return response;
+    }
+
+    // Should a failed attempt be retried, and after how many milliseconds?
+    retryDelayFor(error, method, attempt) {
+        if (attempt >= this.maxRetries) return null;
+
+        if (error instanceof RateLimitError) {
+            // Rejected requests had no effect, so any method may retry
+            const wait = error.retryAfter ?? 1;
+            return wait <= this.maxRetryAfter ? wait * 1000 : null;
+        }
+
+        const transient = error instanceof NetworkError || error instanceof TimeoutError ||
+            error instanceof ServerError;
+        if (transient && IDEMPOTENT_METHODS.includes(method)) {
+            return Math.min(this.retryDelay * Math.pow(2, attempt), 5000);
+        }
+
+        return null;
+    }
+
+    // Send a request and return the Response, retrying where safe
+    async send(endpoint, options = {}) {
+        const url = `${this.baseURL}${this.apiPrefix}${endpoint}`;
+        const method = (options.method || 'GET').toUpperCase();
+        const config = {
+            ...options,
+            method,
+            headers: {
+                ...(typeof options.body === 'string' ? { 'Content-Type': 'application/json' } : {}),
+                ...this.headers,
+                ...options.headers
+            }
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(url, config);
+            } catch (error) {
+                const delay = this.retryDelayFor(error, method, attempt);
+                if (delay === null) throw error;
+
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    // Send a request and parse the JSON response
+    async request(endpoint, options = {}) {
+        const response = await this.send(endpoint, options);
+        const contentType = response.headers.get('content-type') || '';
+
+        if (!contentType.includes('json')) {
+            throw new AnonForumError(`Server returned ${response.status}: ${response.statusText}`, {
+                status: response.status,
+                code: 'UNEXPECTED_RESPONSE'
+            });
+        }
+
+        return await response.json();
+    }
+
+    // Query string from params, skipping empty values and the 'all' category
+    query(params = {}) {
+        const searchParams = new URLSearchParams();
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            if (key === 'category' && value === 'all') return;
+            searchParams.set(key, value.toString());
+        });
+
+        const queryString = searchParams.toString();
+        return queryString ? `?${queryString}` : '';
+    }
+
+    // Proof of work for posting and commenting. The SDK doesn't solve
+    // challenges itself (the server accepts requests without one unless
+    // POW_MODE=required); pass a solver through a subclass if needed.
+    async solveChallenge(scope) {
+        return undefined;
+    }
+
+    // Start a rate-limit session: later requests send its token and count
+    // against their own limits rather than the shared IP's. The token expires
+    // at sessionExpiresAt and only counts from the IP it was issued to.
+    async startSession() {
+        const { token, header, expiresAt } = await this.request('/session', { method: 'POST' });
+        this.headers = { ...this.headers, [header]: token };
+        this.sessionExpiresAt = expiresAt ? new Date(expiresAt) : null;
+        return token;
+    }
+
+    // Health check
+    async healthCheck() {
+        return await this.request('/health');
+    }
+
+    // Get posts with filtering and pagination
+    // sort: 'timestamp' | 'likes' | 'comments' | 'hot' | 'rising'
+    async getPosts({ category, tag, page, limit, sort } = {}) {
+        return await this.request(`/posts${this.query({ category, tag, page, limit, sort })}`);
+    }
+
+    // Get single post with comments
+    async getPost(postId) {
+        if (!postId) {
+            throw new Error('Post ID is required');
+        }
+        return await this.request(`/posts/${encodeURIComponent(postId)}`);
+    }
+
+    // Create new post
+    async createPost(postData) {
+        if (!postData.title || !postData.content || !postData.category) {
+            throw new Error('Title, content, and category are required');
+        }
+
+        const pow = await this.solveChallenge('post');
+
+        return await this.request('/posts', {
+            method: 'POST',
+            body: JSON.stringify({
+                title: postData.title.trim(),
+                content: postData.content.trim(),
+                format: postData.format || 'markdown',
+                category: postData.category,
+                tags: Array.isArray(postData.tags) ? postData.tags : this.parseTags(postData.tags),
+                // Polls: type 'poll' with { options: [...], closesAt, hideResults }
+                type: postData.type || 'text',
+                poll: postData.poll,
+                // Lifetime: expiresIn '1h' | '24h' | '7d' | '30d', optionally
+                // extended by comments; burnAfterViews deletes after N viewers
+                expiresIn: postData.expiresIn,
+                extendOnActivity: postData.extendOnActivity,
+                burnAfterViews: postData.burnAfterViews,
+                pow
+            })
+        });
+    }
+
+    // Vote in a poll
+    async votePoll(postId, optionId) {
+        if (!postId || !optionId) {
+            throw new Error('Post ID and option are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/vote`, {
+            method: 'POST',
+            body: JSON.stringify({ optionId })
+        });
+    }
+
+    // Edit a post using the author token returned when it was created
+    async updatePost(postId, authorToken, postData) {
+        if (!postId || !authorToken) {
+            throw new Error('Post ID and author token are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}`, {
+            method: 'PUT',
+            headers: { 'X-Author-Token': authorToken },
+            body: JSON.stringify({
+                title: postData.title.trim(),
+                content: postData.content.trim(),
+                tags: Array.isArray(postData.tags) ? postData.tags : this.parseTags(postData.tags)
+            })
+        });
+    }
+
+    // Delete a post using its author token
+    async deletePost(postId, authorToken) {
+        if (!postId || !authorToken) {
+            throw new Error('Post ID and author token are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}`, {
+            method: 'DELETE',
+            headers: { 'X-Author-Token': authorToken }
+        });
+    }
+
+    // Parse tags from string
+    parseTags(tagsInput) {
+        if (!tagsInput || typeof tagsInput !== 'string') return [];
+
+        return tagsInput
+            .split(',')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(tag => tag.length > 0 && tag.length <= 50)
+            .slice(0, 5);
+    }
+
+    // Like a post
+    async likePost(postId) {
+        if (!postId) {
+            throw new Error('Post ID is required');
+        }
+        return await this.request(`/posts/${encodeURIComponent(postId)}/like`, { method: 'POST' });
+    }
+
+    // Create comment
+    async createComment(postId, commentData) {
+        if (!postId) {
+            throw new Error('Post ID is required');
+        }
+        if (!commentData.content) {
+            throw new Error('Comment content is required');
+        }
+
+        const pow = await this.solveChallenge('comment');
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({
+                content: commentData.content.trim(),
+                format: commentData.format || 'markdown',
+                parentId: commentData.parentId || null,
+                pow
+            })
+        });
+    }
+
+    // Edit a comment using its author token
+    async updateComment(postId, commentId, authorToken, commentData) {
+        if (!postId || !commentId || !authorToken) {
+            throw new Error('Post ID, comment ID and author token are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/comments/${encodeURIComponent(commentId)}`, {
+            method: 'PUT',
+            headers: { 'X-Author-Token': authorToken },
+            body: JSON.stringify({
+                content: commentData.content.trim()
+            })
+        });
+    }
+
+    // Delete a comment using its author token
+    async deleteComment(postId, commentId, authorToken) {
+        if (!postId || !commentId || !authorToken) {
+            throw new Error('Post ID, comment ID and author token are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/comments/${encodeURIComponent(commentId)}`, {
+            method: 'DELETE',
+            headers: { 'X-Author-Token': authorToken }
+        });
+    }
+
+    // Get comments for a post as a reply tree
+    async getComments(postId, { depth } = {}) {
+        if (!postId) {
+            throw new Error('Post ID is required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/comments${this.query({ depth })}`);
+    }
+
+    // Get a single comment with its replies
+    async getCommentThread(postId, commentId, { depth } = {}) {
+        if (!postId || !commentId) {
+            throw new Error('Post ID and comment ID are required');
+        }
+
+        const path = `/posts/${encodeURIComponent(postId)}/comments/${encodeURIComponent(commentId)}`;
+        return await this.request(`${path}${this.query({ depth })}`);
+    }
+
+    // Report a post (reason: spam, harassment, hate, illegal, personal_info, nsfw, other)
+    async reportPost(postId, reason, details) {
+        if (!postId || !reason) {
+            throw new Error('Post ID and reason are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/report`, {
+            method: 'POST',
+            body: JSON.stringify({ reason, details })
+        });
+    }
+
+    // Report a comment
+    async reportComment(postId, commentId, reason, details) {
+        if (!postId || !commentId || !reason) {
+            throw new Error('Post ID, comment ID and reason are required');
+        }
+
+        return await this.request(`/posts/${encodeURIComponent(postId)}/comments/${encodeURIComponent(commentId)}/report`, {
+            method: 'POST',
+            body: JSON.stringify({ reason, details })
+        });
+    }
+
+    // Get the category registry, with names in the given language
+    async getCategories(lang = 'vi') {
+        return await this.request(`/categories${this.query({ lang })}`);
+    }
+
+    // Get statistics
+    async getStats() {
+        return await this.request('/stats');
+    }
+
+    // Get online users count (optionally scoped to a category or thread);
+    // null when the count is unavailable
+    async getOnlineCount({ category, postId } = {}) {
+        try {
+            const response = await this.request(`/online${this.query({ category, postId })}`);
+            return response.online || 0;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Search posts (diacritic-insensitive, ranked by relevance and recency)
+    async searchPosts(query, params = {}) {
+        if (!query || query.trim().length < 2) {
+            throw new Error('Search query must be at least 2 characters');
+        }
+
+        // Backwards compatible: searchPosts(query, limit)
+        if (typeof params === 'number') {
+            params = { limit: params };
+        }
+
+        const { category, tag, from, to, page, limit = 20 } = params;
+        return await this.request(`/search${this.query({ q: query.trim(), category, tag, from, to, page, limit })}`);
+    }
+
+    // Download an NDJSON export (operators only) as text
+    async exportData(adminSecret, { includeIpHash = false } = {}) {
+        const response = await this.send(`/admin/export${this.query({ includeIpHash })}`, {
+            headers: { 'Authorization': `Bearer ${adminSecret}` }
+        });
+
+        return await response.text();
+    }
+
+    // Async iterator over result pages, following pagination.hasNext
+    async *paginate(fetchPage, params = {}) {
+        let page = params.page || 1;
+
+        while (true) {
+            const result = await fetchPage({ ...params, page });
+            yield result;
+
+            if (!result.pagination || !result.pagination.hasNext) return;
+            page++;
+        }
+    }
+
+    // Pages of getPosts results
+    iteratePostPages(params = {}) {
+        return this.paginate(pageParams => this.getPosts(pageParams), params);
+    }
+
+    // Every post matching the filters, page by page. Pinned posts come with
+    // each page and are not included; read them from getPosts().
+    async *iteratePosts(params = {}) {
+        for await (const result of this.iteratePostPages(params)) {
+            yield* result.posts;
+        }
+    }
+
+    // Every search result, page by page
+    async *iterateSearchResults(query, params = {}) {
+        const pages = this.paginate(pageParams => this.searchPosts(query, pageParams), params);
+
+        for await (const result of pages) {
+            yield* result.posts;
+        }
+    }
+
+    // Every comment on a post, depth first, fetching subtrees cut off by
+    // the depth limit as they are reached
+    async *iterateComments(postId, { depth } = {}) {
+        const walk = async function* (client, nodes) {
+            for (const node of nodes) {
+                const { replies, ...comment } = node;
+                yield comment;
+
+                let children = replies || [];
+                if (node.hasMoreReplies) {
+                    const { comment: subtree } = await client.getCommentThread(postId, node.id, { depth });
+                    children = subtree.replies || [];
+                }
+
+                yield* walk(client, children);
+            }
+        };
+
+        const { comments } = await this.getComments(postId, { depth });
+        yield* walk(this, comments);
+    }
+
+    // Batch requests; failures come back as { error } entries
+    async batchRequest(requests) {
+        const promises = requests.map(({ endpoint, options }) =>
+            this.request(endpoint, options).catch(error => ({ error: error.message, code: error.code }))
+        );
+
+        return await Promise.all(promises);
+    }
+
+    // Check if API is available
+    async isAvailable() {
+        try {
+            await this.healthCheck();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Get API status
+    async getStatus() {
+        try {
+            const health = await this.healthCheck();
+            return {
+                available: true,
+                status: health.status,
+                uptime: health.uptime,
+                stats: health.stats
+            };
+        } catch (error) {
+            return {
+                available: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+// In-memory transport for tests: a fetch-compatible function answering from
+// handlers keyed by 'METHOD /path' (paths may contain :params).
+//
+// const transport = createMockTransport({
+//     'GET /api/v1/posts': () => ({ body: { posts: [], pagination: { hasNext: false } } }),
+//     'POST /api/v1/posts/:id/like': ({ params }) => ({ status: 429, headers: { 'Retry-After': '1' }, body: { error: { code: 'RATE_LIMITED', message: 'Slow down' } } })
+// });
+// const client = new AnonForumClient({ fetch: transport, sleep: async () => {} });
+//
+// Handlers get { method, path, params, query, headers, body } and return
+// { status = 200, headers, body }. Every call is recorded in transport.calls.
+const createMockTransport = (handlers = {}) => {
+    const routes = Object.entries(handlers).map(([key, handler]) => {
+        const [method, pattern] = key.split(' ');
+        const names = [];
+        const source = pattern.replace(/:(\w+)/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        return { method, regex: new RegExp(`^${source}$`), names, handler };
+    });
+
+    const transport = async (url, options = {}) => {
+        const parsed = new URL(url, 'http://mock.local');
+        const method = (options.method || 'GET').toUpperCase();
+        const headers = Object.fromEntries(
+            Object.entries(options.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+        );
+        const request = {
+            method,
+            path: parsed.pathname,
+            query: Object.fromEntries(parsed.searchParams),
+            headers,
+            body: typeof options.body === 'string' && options.body ? JSON.parse(options.body) : options.body
+        };
+        transport.calls.push(request);
+
+        let reply = { status: 404, body: { error: { code: 'ENDPOINT_NOT_FOUND', message: 'Endpoint not found' } } };
+        for (const route of routes) {
+            const match = route.method === method && route.regex.exec(parsed.pathname);
+            if (!match) continue;
+
+            request.params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+            reply = await route.handler(request);
+            break;
+        }
+
+        const status = reply.status || 200;
+        const replyHeaders = new Map(Object.entries({
+            ...(reply.body !== undefined && typeof reply.body !== 'string' ? { 'content-type': 'application/json' } : {}),
+            ...reply.headers
+        }).map(([name, value]) => [name.toLowerCase(), String(value)]));
+        const text = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body ?? null);
+
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: reply.statusText || '',
+            headers: { get: (name) => replyHeaders.get(name.toLowerCase()) ?? null },
+            json: async () => JSON.parse(text),
+            text: async () => text
+        };
+    };
+
+    transport.calls = [];
+    return transport;
+};
+
+const AnonForum = {
+    AnonForumClient,
+    AnonForumError,
+    NetworkError,
+    TimeoutError,
+    ValidationError,
+    AuthError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    ServerError,
+    createMockTransport,
+    parseRetryAfter
+};
+
+// Export for Node (require) and browsers (window.AnonForum)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnonForum;
+} else {
+    window.AnonForum = AnonForum;
+}
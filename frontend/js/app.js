@@ -1,15 +1,15 @@
-// API client for AnonForum
-class APIClient {
+// Browser API client for the AnonForum UI, built on the SDK in api.js.
+// Adds base URL detection, proof of work in a Web Worker, presence
+// heartbeats and live updates over EventSource.
+class APIClient extends AnonForum.AnonForumClient {
     constructor() {
-        // Auto-detect API URL
-        this.baseURL = this.getBaseURL();
-        this.timeout = 10000; // 10 seconds
+        super({ baseURL: APIClient.getBaseURL() });
         
         console.log('🔗 API Client initialized:', this.baseURL);
     }
 
     // Auto-detect base URL for different environments
-    getBaseURL() {
+    static getBaseURL() {
         const hostname = window.location.hostname;
         const protocol = window.location.protocol;
         const port = window.location.port;
@@ -34,270 +34,165 @@ class APIClient {
         return '';
     }
 
-    // Generic fetch wrapper with error handling
-    async request(endpoint, options = {}) {
-        const url = `${this.baseURL}/api${endpoint}`;
-        
-        const config = {
-            timeout: this.timeout,
-            headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
-        };
-
-        // Add timeout to fetch
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-        config.signal = controller.signal;
-
-        try {
-            const response = await fetch(url, config);
-            clearTimeout(timeoutId);
-
-            // Handle non-JSON responses
-            const contentType = response.headers.get('content-type');
-            if (!contentType || !contentType.includes('application/json')) {
-                throw new Error(`Server returned ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+    // Fetch a proof-of-work challenge and solve it in a Web Worker.
+    // Returns { token, nonce }, or undefined when the server doesn't need one
+    // or the browser can't solve it (the server then falls back to IP limits).
+    async solveChallenge(scope) {
+        const challenge = await this.request(`/challenge?scope=${scope}`);
 
-            if (!response.ok) {
-                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
-            }
+        if (!challenge.token) {
+            return undefined;
+        }
 
-            return data;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout - please check your connection');
+        if (typeof Worker === 'undefined' || !window.crypto || !window.crypto.subtle) {
+            if (challenge.required) {
+                throw new Error('This browser cannot complete the anti-spam check');
             }
-            
-            if (error.message.includes('Failed to fetch')) {
-                throw new Error('Cannot connect to server - please try again later');
-            }
-            
-            throw error;
+            return undefined;
         }
-    }
 
-    // Health check
-    async healthCheck() {
-        try {
-            return await this.request('/health');
-        } catch (error) {
-            console.warn('Health check failed:', error.message);
-            throw new Error('Server unavailable');
-        }
-    }
+        const nonce = await new Promise((resolve, reject) => {
+            const worker = new Worker('js/pow-worker.js');
 
-    // Get posts with filtering and pagination
-    async getPosts(params = {}) {
-        const searchParams = new URLSearchParams();
-        
-        if (params.category && params.category !== 'all') {
-            searchParams.set('category', params.category);
-        }
-        if (params.page) {
-            searchParams.set('page', params.page.toString());
-        }
-        if (params.limit) {
-            searchParams.set('limit', params.limit.toString());
-        }
-        if (params.sort) {
-            searchParams.set('sort', params.sort);
-        }
+            worker.onmessage = (event) => {
+                worker.terminate();
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data.nonce);
+                }
+            };
+            worker.onerror = (error) => {
+                worker.terminate();
+                reject(new Error(error.message || 'Anti-spam check failed'));
+            };
 
-        const queryString = searchParams.toString();
-        const endpoint = `/posts${queryString ? '?' + queryString : ''}`;
-        
-        return await this.request(endpoint);
-    }
+            worker.postMessage({ token: challenge.token, difficulty: challenge.difficulty });
+        });
 
-    // Get single post with comments
-    async getPost(postId) {
-        if (!postId) {
-            throw new Error('Post ID is required');
-        }
-        return await this.request(`/posts/${postId}`);
+        return { token: challenge.token, nonce };
     }
 
-    // Create new post
-    async createPost(postData) {
-        if (!postData.title || !postData.content || !postData.category) {
-            throw new Error('Title, content, and category are required');
-        }
-
-        return await this.request('/posts', {
-            method: 'POST',
-            body: JSON.stringify({
-                title: postData.title.trim(),
-                content: postData.content.trim(),
-                category: postData.category,
-                tags: Array.isArray(postData.tags) ? postData.tags : this.parseTags(postData.tags)
-            })
+    // Download an NDJSON export (operators only); returns a Blob
+    async exportData(adminSecret, { includeIpHash = false } = {}) {
+        const response = await this.send(`/admin/export${this.query({ includeIpHash })}`, {
+            headers: { 'Authorization': `Bearer ${adminSecret}` }
         });
-    }
 
-    // Parse tags from string
-    parseTags(tagsInput) {
-        if (!tagsInput || typeof tagsInput !== 'string') return [];
-        
-        return tagsInput
-            .split(',')
-            .map(tag => tag.trim().toLowerCase())
-            .filter(tag => tag.length > 0 && tag.length <= 50)
-            .slice(0, 5);
+        return await response.blob();
     }
 
-    // Like a post
-    async likePost(postId) {
-        if (!postId) {
-            throw new Error('Post ID is required');
-        }
-        return await this.request(`/posts/${postId}/like`, { method: 'POST' });
-    }
+    // Ephemeral per-tab session ID used only for presence
+    getPresenceSessionId() {
+        const key = 'anonforum-presence-session';
+        let sessionId = sessionStorage.getItem(key);
 
-    // Create comment
-    async createComment(postId, commentData) {
-        if (!postId) {
-            throw new Error('Post ID is required');
-        }
-        if (!commentData.content) {
-            throw new Error('Comment content is required');
+        if (!sessionId) {
+            const bytes = new Uint8Array(16);
+            crypto.getRandomValues(bytes);
+            sessionId = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+            sessionStorage.setItem(key, sessionId);
         }
 
-        return await this.request(`/posts/${postId}/comments`, {
+        return sessionId;
+    }
+
+    // Send a presence heartbeat with what the user is looking at
+    async sendHeartbeat(context = {}) {
+        return await this.request('/presence', {
             method: 'POST',
             body: JSON.stringify({
-                content: commentData.content.trim()
+                sessionId: this.getPresenceSessionId(),
+                category: context.category || null,
+                postId: context.postId || null
             })
         });
     }
 
-    // Get comments for a post
-    async getComments(postId) {
-        if (!postId) {
-            throw new Error('Post ID is required');
-        }
-        return await this.request(`/posts/${postId}/comments`);
-    }
+    // Send heartbeats periodically; getContext returns { category, postId }
+    startPresence(getContext = () => ({}), onUpdate = null, interval = 30000) {
+        const beat = async () => {
+            if (document.hidden) return;
 
-    // Get statistics
-    async getStats() {
-        return await this.request('/stats');
-    }
+            try {
+                const result = await this.sendHeartbeat(getContext());
+                if (onUpdate) onUpdate(result);
+            } catch (error) {
+                console.warn('Presence heartbeat failed:', error.message);
+            }
+        };
 
-    // Get online users count
-    async getOnlineCount() {
-        try {
-            const response = await this.request('/online');
-            return response.online || 0;
-        } catch (error) {
-            // Fallback to simulated count if endpoint fails
-            return this.getSimulatedOnlineCount();
-        }
-    }
+        beat();
+        const timer = setInterval(beat, interval);
+        document.addEventListener('visibilitychange', beat);
 
-    // Fallback simulated online count
-    getSimulatedOnlineCount() {
-        const baseCount = 15;
-        const variance = Math.floor(Math.random() * 30);
-        const timeBonus = Math.floor(Math.sin(Date.now() / 600000) * 10);
-        return Math.max(1, baseCount + variance + timeBonus);
+        return () => {
+            clearInterval(timer);
+            document.removeEventListener('visibilitychange', beat);
+        };
     }
 
-    // Search posts (if implemented on backend)
-    async searchPosts(query, limit = 20) {
-        if (!query || query.trim().length < 2) {
-            throw new Error('Search query must be at least 2 characters');
-        }
+    // Subscribe to live events (post.created, comment.created, post.liked, reset)
+    // handlers: { 'post.created': fn, ..., onError: fn }; returns an unsubscribe function
+    subscribe(filters = {}, handlers = {}) {
+        const eventTypes = ['post.created', 'comment.created', 'post.liked', 'reset'];
+        let source = null;
+        let lastEventId = null;
+        let retryDelay = 1000;
+        let retryTimer = null;
+        let closed = false;
+
+        const connect = () => {
+            const searchParams = new URLSearchParams();
+
+            if (filters.category && filters.category !== 'all') {
+                searchParams.set('category', filters.category);
+            }
+            if (filters.postId) {
+                searchParams.set('postId', filters.postId);
+            }
+            if (lastEventId) {
+                searchParams.set('lastEventId', lastEventId);
+            }
 
-        const searchParams = new URLSearchParams({
-            q: query.trim(),
-            limit: limit.toString()
-        });
+            const queryString = searchParams.toString();
+            source = new EventSource(`${this.baseURL}${this.apiPrefix}/stream${queryString ? '?' + queryString : ''}`);
 
-        try {
-            return await this.request(`/search?${searchParams.toString()}`);
-        } catch (error) {
-            // If search endpoint doesn't exist, return empty results
-            if (error.message.includes('404')) {
-                return { posts: [] };
-            }
-            throw error;
-        }
-    }
+            source.onopen = () => {
+                retryDelay = 1000;
+            };
 
-    // Retry mechanism for failed requests
-    async requestWithRetry(endpoint, options = {}, maxRetries = 3) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                return await this.request(endpoint, options);
-            } catch (error) {
-                lastError = error;
-                
-                // Don't retry client errors (4xx)
-                if (error.message.includes('400') || 
-                    error.message.includes('401') || 
-                    error.message.includes('403') || 
-                    error.message.includes('404')) {
-                    throw error;
-                }
-                
-                // Wait before retry (exponential backoff)
-                if (attempt < maxRetries) {
-                    const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    console.log(`Retrying request (attempt ${attempt + 1}/${maxRetries})...`);
-                }
-            }
-        }
-        
-        throw lastError;
-    }
+            eventTypes.forEach(type => {
+                source.addEventListener(type, (event) => {
+                    if (event.lastEventId) lastEventId = event.lastEventId;
+                    if (typeof handlers[type] !== 'function') return;
 
-    // Batch requests (for efficiency)
-    async batchRequest(requests) {
-        const promises = requests.map(({ endpoint, options }) => 
-            this.request(endpoint, options).catch(error => ({ error: error.message }))
-        );
-        
-        return await Promise.all(promises);
-    }
+                    try {
+                        handlers[type](JSON.parse(event.data));
+                    } catch (error) {
+                        console.warn(`Failed to handle ${type} event:`, error.message);
+                    }
+                });
+            });
 
-    // Check if API is available
-    async isAvailable() {
-        try {
-            await this.healthCheck();
-            return true;
-        } catch (error) {
-            console.warn('API not available:', error.message);
-            return false;
-        }
-    }
+            source.onerror = (error) => {
+                if (handlers.onError) handlers.onError(error);
 
-    // Get API status
-    async getStatus() {
-        try {
-            const health = await this.healthCheck();
-            return {
-                available: true,
-                status: health.status,
-                uptime: health.uptime,
-                stats: health.stats
-            };
-        } catch (error) {
-            return {
-                available: false,
-                error: error.message
+                // EventSource retries by itself unless the connection was closed for good
+                if (closed || source.readyState !== EventSource.CLOSED) return;
+
+                retryTimer = setTimeout(connect, retryDelay);
+                retryDelay = Math.min(retryDelay * 2, 30000);
             };
-        }
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (source) source.close();
+        };
     }
 }
 
@@ -327,10 +222,70 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+// Render category filters and the post form select from the registry;
+// the static markup stays in place if the server can't be reached
+const renderCategories = (categories) => {
+    const filterBar = document.querySelector('.filter-bar');
+    const select = document.getElementById('postCategory');
+    const label = (category) => `${category.icon} ${category.name}`.trim();
+
+    if (filterBar) {
+        filterBar.querySelectorAll('.filter-btn:not([data-category="all"])').forEach(button => button.remove());
+        categories.forEach(category => {
+            const button = document.createElement('button');
+            button.className = 'filter-btn';
+            button.dataset.category = category.slug;
+            button.textContent = label(category);
+            button.title = category.description;
+            button.addEventListener('click', () => window.filterPosts && window.filterPosts(category.slug));
+            filterBar.appendChild(button);
+        });
+    }
+
+    if (select) {
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.slug;
+            option.textContent = label(category);
+            select.appendChild(option);
+        });
+    }
+};
+
+// Footer "export data" button: download a dump with the operator secret
+const exportData = async () => {
+    const secret = window.prompt('Admin secret');
+    if (!secret) return;
+
+    try {
+        const blob = await API.exportData(secret);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `anonforum-export-${new Date().toISOString().slice(0, 10)}.ndjson`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        window.alert(`Export failed: ${error.message}`);
+    }
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const { categories } = await API.getCategories(document.documentElement.lang || 'vi');
+        if (Array.isArray(categories) && categories.length > 0) {
+            renderCategories(categories);
+        }
+    } catch (error) {
+        console.warn('Could not load categories:', error.message);
+    }
+});
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = APIClient;
 } else {
     window.API = API;
     window.APIClient = APIClient;
+    window.exportData = exportData;
 }
\ No newline at end of file
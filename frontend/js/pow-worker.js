@@ -0,0 +1,36 @@
+// Proof-of-work solver for AnonForum posting challenges.
+// Receives { token, difficulty } and replies with { nonce } once
+// sha256(`${token}:${nonce}`) starts with `difficulty` zero bits.
+
+const leadingZeroBits = (bytes) => {
+    let bits = 0;
+
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+
+    return bits;
+};
+
+self.onmessage = async (event) => {
+    const { token, difficulty } = event.data;
+    const encoder = new TextEncoder();
+
+    try {
+        for (let nonce = 0; ; nonce++) {
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${nonce}`));
+
+            if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                self.postMessage({ nonce: nonce.toString() });
+                return;
+            }
+        }
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};